@@ -0,0 +1,19 @@
+"""
+Power block implementation
+it returns Base raised to the power of Exponent from the input argument
+Executed by the python engine ("engine": "python" in BlockDefinitions.json)
+"""
+
+
+def execute(input_params):
+    """
+    :param input_params: Input parameters dict with 'Base' and 'Exponent' keys
+    :returns: Execution result dict with 'Result' field
+    """
+    result = {"success": False}
+    try:
+        result["Result"] = float(input_params["Base"]) ** int(input_params["Exponent"])
+        result["success"] = True
+    except Exception as error:
+        result["errorMessage"] = str(error)
+    return result
@@ -0,0 +1,18 @@
+/**
+ * Join block implementation
+ * it returns the text joining a and b with the separator from the input argument
+ * @param {Object} inputParams - Input parameters object with 'TextA', 'TextB' and 'Separator' properties
+ * @returns {Object} Execution result with 'Result' field
+ */
+export function execute(inputParams) {
+  let result = {};
+
+  result.success = false;
+  try {
+    result.Result = `${inputParams.TextA ?? ''}${inputParams.Separator ?? ''}${inputParams.TextB ?? ''}`;
+    result.success = true;
+  } catch (error) {
+    result.errorMessage = error.message;
+  }
+  return result;
+}
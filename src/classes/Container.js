@@ -15,6 +15,20 @@ export default class Container extends Entry {
   constructor(name = '', id = null) {
     super(name, id);
     this.type = 'container';  // Container type
+    this.kind = 'sequence';   // Execution kind (children are executed once, in order)
     this.children = reactive([]); // Array of child elements
+    // Handling of failed child entries:
+    // 'continue' runs the remaining children, 'stop' skips them,
+    // 'retry' re-executes the failed child up to retryCount times (waiting retryDelay ms) before stopping
+    this.errorPolicy = reactive({ mode: 'continue', retryCount: 1, retryDelay: 0 });
+    // Parallel execution of children:
+    // when enabled, children whose inputs are not linked to outputs of earlier children run at the same time,
+    // at most maxConcurrency at once (0 for no limit other than the Worker pool size)
+    this.parallelism = reactive({ enabled: false, maxConcurrency: 0 });
+    // Variables declared in the scope of the container (see Variable), visible to all its descendants
+    this.variables = reactive([]);
+    // Display state in the editor, saved with the recipe but not used for execution:
+    // a collapsed container hides its children and shows their count
+    this.view = reactive({ collapsed: false });
   }
 }
@@ -0,0 +1,134 @@
+import { reactive } from 'vue'
+
+/**
+ * EntryConnectionManager class
+ * Class that manages connections from an output parameter of one entry
+ * to an input parameter of another entry
+ * Each input parameter accepts at most one connection
+ */
+export default class EntryConnectionManager {
+  constructor() {
+    // Dictionary of connection IDs and connections (reactive for UI updates)
+    this._connectionsById = reactive(new Map()); // connectionId -> connection
+  }
+
+  /**
+   * Create the connection ID for an input parameter (Internal use)
+   * @param {string} targetEntryId - ID of the entry owning the input parameter
+   * @param {string} targetParamName - Name of the input parameter
+   * @returns {string} Connection ID
+   * @private
+   */
+  _createConnectionId(targetEntryId, targetParamName) {
+    return `${targetEntryId}:${targetParamName}`;
+  }
+
+  /**
+   * Get a connection
+   * @param {string} connectionId - ID of the connection to get
+   * @returns {Object|null} Connection or null
+   */
+  getConnection(connectionId) {
+    return this._connectionsById.get(connectionId) || null;
+  }
+
+  /**
+   * Get all connections
+   * @returns {Array<Object>} Array of connections
+   */
+  getConnections() {
+    return Array.from(this._connectionsById.values());
+  }
+
+  /**
+   * Get the connection feeding an input parameter
+   * @param {string} targetEntryId - ID of the entry owning the input parameter
+   * @param {string} targetParamName - Name of the input parameter
+   * @returns {Object|null} Connection or null
+   */
+  getInputConnection(targetEntryId, targetParamName) {
+    return this.getConnection(this._createConnectionId(targetEntryId, targetParamName));
+  }
+
+  /**
+   * Get all connections feeding input parameters of an entry
+   * @param {string} targetEntryId - ID of the entry
+   * @returns {Array<Object>} Array of connections
+   */
+  getInputConnections(targetEntryId) {
+    return this.getConnections().filter(connection => connection.targetEntryId === targetEntryId);
+  }
+
+  /**
+   * Get all connections starting or ending at an entry
+   * @param {string} entryId - ID of the entry
+   * @returns {Array<Object>} Array of connections
+   */
+  getConnectionsForEntry(entryId) {
+    return this.getConnections().filter(connection =>
+      connection.sourceEntryId === entryId || connection.targetEntryId === entryId
+    );
+  }
+
+  /**
+   * Check if a parameter has a connection
+   * @param {string} entryId - ID of the entry
+   * @param {string} paramName - Name of the parameter
+   * @param {string} paramKind - Kind of the parameter ('input' or 'output')
+   * @returns {boolean} Whether the parameter is connected
+   */
+  isConnected(entryId, paramName, paramKind) {
+    if (paramKind === 'input') {
+      return this._connectionsById.has(this._createConnectionId(entryId, paramName));
+    }
+    return this.getConnections().some(connection =>
+      connection.sourceEntryId === entryId && connection.sourceParamName === paramName
+    );
+  }
+
+  /**
+   * Add a connection from an output parameter to an input parameter
+   * An existing connection to the same input parameter is replaced
+   * @param {string} sourceEntryId - ID of the entry owning the output parameter
+   * @param {string} sourceParamName - Name of the output parameter
+   * @param {string} targetEntryId - ID of the entry owning the input parameter
+   * @param {string} targetParamName - Name of the input parameter
+   * @returns {Object|null} Added connection or null
+   */
+  addConnection(sourceEntryId, sourceParamName, targetEntryId, targetParamName) {
+    if (!sourceEntryId || !sourceParamName || !targetEntryId || !targetParamName) return null;
+
+    const connection = {
+      id: this._createConnectionId(targetEntryId, targetParamName),
+      sourceEntryId,
+      sourceParamName,
+      targetEntryId,
+      targetParamName
+    };
+    this._connectionsById.set(connection.id, connection);
+    return this._connectionsById.get(connection.id);
+  }
+
+  /**
+   * Remove a connection
+   * @param {string} connectionId - ID of the connection to remove
+   * @returns {boolean} Whether the removal was successful
+   */
+  removeConnection(connectionId) {
+    return this._connectionsById.delete(connectionId);
+  }
+
+  /**
+   * Remove all connections starting or ending at any of the given entries
+   * @param {Array<string>} entryIds - IDs of the entries
+   * @returns {Array<Object>} Removed connections
+   */
+  removeConnectionsForEntries(entryIds) {
+    const ids = new Set(entryIds);
+    const removed = this.getConnections().filter(connection =>
+      ids.has(connection.sourceEntryId) || ids.has(connection.targetEntryId)
+    );
+    removed.forEach(connection => this._connectionsById.delete(connection.id));
+    return removed;
+  }
+}
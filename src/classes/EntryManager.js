@@ -109,6 +109,36 @@ export default class EntryManager {
     return this._parentIdById.get(entryId) || null;
   }
 
+  /**
+   * Get the ancestors of an entry
+   * @param {string} entryId - ID of the entry
+   * @returns {Array<Entry>} Ancestor entries, nearest first
+   */
+  getAncestors(entryId) {
+    const ancestors = [];
+    let parent = this.getParentEntry(entryId);
+    while (parent) {
+      ancestors.push(parent);
+      parent = this.getParentEntry(parent.id);
+    }
+    return ancestors;
+  }
+
+  /**
+   * Find the variable an entry sees under a name
+   * Variables of the nearest enclosing container shadow those of outer containers
+   * @param {string} entryId - ID of the entry
+   * @param {string} name - Name of the variable
+   * @returns {Variable|null} Found variable or null
+   */
+  findVariable(entryId, name) {
+    for (const ancestor of this.getAncestors(entryId)) {
+      const variable = (ancestor.variables || []).find(candidate => candidate.name === name);
+      if (variable) return variable;
+    }
+    return null;
+  }
+
   /**
    * Get the list of IDs for an entry and all its descendants
    * @param {string} entryId - Target entry ID
@@ -3,14 +3,19 @@ import { reactive } from 'vue'
 /**
  * EntryParamManager class
  * Class that manages parameter values of entries
- * Manages input and output parameters separately using two different maps
+ * Manages input and output parameters separately using two different maps,
+ * and the variables and expressions given to input parameters in two more
  */
 export default class EntryParamManager {
   constructor() {
-    // Dictionary of entry IDs and their input parameters
-    this._inputParamsMap = new Map(); // entryId -> inputs
+    // Dictionary of entry IDs and their input parameters (reactive for UI updates)
+    this._inputParamsMap = reactive(new Map()); // entryId -> inputs
     // Dictionary of entry IDs and their output parameters (reactive for UI updates)
     this._outputParamsMap = reactive(new Map()); // entryId -> outputs
+    // Dictionary of entry IDs and the variable names their input parameters are bound to (reactive for UI updates)
+    this._inputBindingsMap = reactive(new Map()); // entryId -> { paramName: variableName }
+    // Dictionary of entry IDs and the expressions given to their input parameters (reactive for UI updates)
+    this._inputExpressionsMap = reactive(new Map()); // entryId -> { paramName: expression }
   }
 
   /**
@@ -81,7 +86,7 @@ export default class EntryParamManager {
   setInputParams(entryId, inputParams = {}) {
     if (!entryId) return false;
     
-    // Set input parameters to the map
+    // Set input parameters to the reactive map
     this._inputParamsMap.set(entryId, inputParams);
     
     return true;
@@ -113,7 +118,7 @@ export default class EntryParamManager {
   setInputParam(entryId, paramName, value) {
     if (!entryId || !paramName) return false;
     
-    // Create entry in map if it doesn't exist
+    // Create entry in reactive map if it doesn't exist
     if (!this._inputParamsMap.has(entryId)) {
       this._inputParamsMap.set(entryId, {});
     }
@@ -144,6 +149,124 @@ export default class EntryParamManager {
     return true;
   }
   
+  /**
+   * Get the variable name an input parameter is bound to
+   * @param {string} entryId - ID of the entry
+   * @param {string} paramName - Name of the input parameter
+   * @returns {string|undefined} Variable name or undefined if the parameter is not bound
+   */
+  getInputBinding(entryId, paramName) {
+    const bindings = this._inputBindingsMap.get(entryId);
+    return bindings ? bindings[paramName] : undefined;
+  }
+
+  /**
+   * Get the variable bindings of the input parameters of an entry
+   * @param {string} entryId - ID of the entry
+   * @returns {Object} Variable names by input parameter name
+   */
+  getInputBindings(entryId) {
+    return this._inputBindingsMap.get(entryId) || {};
+  }
+
+  /**
+   * Set the variable bindings of the input parameters of an entry
+   * @param {string} entryId - ID of the entry
+   * @param {Object} bindings - Variable names by input parameter name
+   * @returns {boolean} Whether the operation was successful
+   */
+  setInputBindings(entryId, bindings = {}) {
+    if (!entryId) return false;
+
+    this._inputBindingsMap.set(entryId, bindings);
+
+    return true;
+  }
+
+  /**
+   * Bind an input parameter to a variable, or remove its binding
+   * @param {string} entryId - ID of the entry
+   * @param {string} paramName - Name of the input parameter
+   * @param {string|null} variableName - Name of the variable (null to remove the binding)
+   * @returns {boolean} Whether the operation was successful
+   */
+  setInputBinding(entryId, paramName, variableName) {
+    if (!entryId || !paramName) return false;
+
+    // Create entry in reactive map if it doesn't exist
+    if (!this._inputBindingsMap.has(entryId)) {
+      this._inputBindingsMap.set(entryId, {});
+    }
+
+    const bindings = this._inputBindingsMap.get(entryId);
+    if (variableName) {
+      bindings[paramName] = variableName;
+    } else {
+      delete bindings[paramName];
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the expression given to an input parameter
+   * @param {string} entryId - ID of the entry
+   * @param {string} paramName - Name of the input parameter
+   * @returns {string|undefined} Expression (e.g. "=Add1.Result * 2") or undefined if the parameter has none
+   */
+  getInputExpression(entryId, paramName) {
+    const expressions = this._inputExpressionsMap.get(entryId);
+    return expressions ? expressions[paramName] : undefined;
+  }
+
+  /**
+   * Get the expressions given to the input parameters of an entry
+   * @param {string} entryId - ID of the entry
+   * @returns {Object} Expressions by input parameter name
+   */
+  getInputExpressions(entryId) {
+    return this._inputExpressionsMap.get(entryId) || {};
+  }
+
+  /**
+   * Set the expressions given to the input parameters of an entry
+   * @param {string} entryId - ID of the entry
+   * @param {Object} expressions - Expressions by input parameter name
+   * @returns {boolean} Whether the operation was successful
+   */
+  setInputExpressions(entryId, expressions = {}) {
+    if (!entryId) return false;
+
+    this._inputExpressionsMap.set(entryId, expressions);
+
+    return true;
+  }
+
+  /**
+   * Give an expression to an input parameter, or remove its expression
+   * @param {string} entryId - ID of the entry
+   * @param {string} paramName - Name of the input parameter
+   * @param {string|null} expression - Expression (null to use the literal value again)
+   * @returns {boolean} Whether the operation was successful
+   */
+  setInputExpression(entryId, paramName, expression) {
+    if (!entryId || !paramName) return false;
+
+    // Create entry in reactive map if it doesn't exist
+    if (!this._inputExpressionsMap.has(entryId)) {
+      this._inputExpressionsMap.set(entryId, {});
+    }
+
+    const expressions = this._inputExpressionsMap.get(entryId);
+    if (expression !== null && expression !== undefined) {
+      expressions[paramName] = expression;
+    } else {
+      delete expressions[paramName];
+    }
+
+    return true;
+  }
+
   /**
    * Remove all parameter data for an entry
    * @param {string} entryId - ID of the entry
@@ -155,6 +278,8 @@ export default class EntryParamManager {
     // Remove parameter values from both maps
     this._inputParamsMap.delete(entryId);
     this._outputParamsMap.delete(entryId);
+    this._inputBindingsMap.delete(entryId);
+    this._inputExpressionsMap.delete(entryId);
 
     return true;
   }  
@@ -0,0 +1,18 @@
+/**
+ * IfContainer class
+ * Class that inherits from Container class
+ * IfContainer executes its children only when its Condition parameter is true
+ */
+import Container from './Container';
+
+export default class IfContainer extends Container {
+  /**
+   * Constructor
+   * @param {string} name - Name of the container
+   * @param {string|null} id - Unique ID of the container (auto-generated if null)
+   */
+  constructor(name = '', id = null) {
+    super(name, id);
+    this.kind = 'if';
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * RepeatContainer class
+ * Class that inherits from Container class
+ * RepeatContainer executes its children the number of times given by its Count parameter
+ */
+import Container from './Container';
+
+export default class RepeatContainer extends Container {
+  /**
+   * Constructor
+   * @param {string} name - Name of the container
+   * @param {string|null} id - Unique ID of the container (auto-generated if null)
+   */
+  constructor(name = '', id = null) {
+    super(name, id);
+    this.kind = 'repeat';
+  }
+}
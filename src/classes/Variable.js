@@ -0,0 +1,95 @@
+/**
+ * Variable class
+ * Class that represents a typed variable declared in the scope of a container
+ * Variables of the root container are the parameters of the whole recipe,
+ * and variables of an inner container shadow outer variables with the same name
+ */
+
+// Default values of the data types a variable can have
+const DEFAULT_VALUES = {
+  integer: 0,
+  real: 0,
+  boolean: false,
+  string: ''
+};
+
+// Variable names are identifiers, so that they can be read in expressions
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export default class Variable {
+  /**
+   * Data types a variable can have
+   * @returns {Array<string>} Data type names
+   */
+  static get dataTypes() {
+    return Object.keys(DEFAULT_VALUES);
+  }
+
+  /**
+   * Check if a name can be used as a variable name
+   * @param {string} name - Name to check
+   * @returns {boolean} Whether the name is valid
+   */
+  static isValidName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+  }
+
+  /**
+   * Get the default value of a data type
+   * @param {string} dataType - Data type of the variable
+   * @returns {any} Default value
+   */
+  static defaultValue(dataType) {
+    return DEFAULT_VALUES[dataType];
+  }
+
+  /**
+   * Convert a value to a number of a numeric data type
+   * Booleans give 1 or 0, and integers are truncated toward zero
+   * @param {string} dataType - 'integer' or 'real'
+   * @param {any} value - Value to convert
+   * @returns {number|null} Converted number, or null if the value is not a finite number
+   */
+  static toNumber(dataType, value) {
+    let number = value;
+    if (typeof value === 'boolean') number = value ? 1 : 0;
+    if (typeof value === 'string') number = value.trim() === '' ? NaN : Number(value);
+    if (typeof number !== 'number' || !Number.isFinite(number)) return null;
+    return dataType === 'integer' ? Math.trunc(number) : number;
+  }
+
+  /**
+   * Convert a value to a data type, e.g. a value read from a hand-edited document
+   * Values that cannot be converted give the default value of the data type
+   * @param {string} dataType - Data type of the variable
+   * @param {any} value - Value to convert
+   * @returns {any} Value of the data type
+   */
+  static coerceValue(dataType, value) {
+    switch (dataType) {
+      case 'integer':
+      case 'real': {
+        const number = Variable.toNumber(dataType, value);
+        return number === null ? Variable.defaultValue(dataType) : number;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 'false') return value === 'true';
+        return Variable.defaultValue(dataType);
+      default:
+        return value === null || value === undefined || typeof value === 'object' ? Variable.defaultValue(dataType) : String(value);
+    }
+  }
+
+  /**
+   * Constructor
+   * @param {string} name - Name of the variable
+   * @param {string} dataType - Data type ('integer', 'real', 'boolean' or 'string')
+   * @param {any} value - Value of the variable (default value of the data type if undefined)
+   */
+  constructor(name, dataType = 'string', value = undefined) {
+    this.name = name;
+    this.dataType = dataType in DEFAULT_VALUES ? dataType : 'string';
+    this.value = value === undefined ? Variable.defaultValue(this.dataType) : value;
+  }
+}
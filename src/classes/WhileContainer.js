@@ -0,0 +1,19 @@
+/**
+ * WhileContainer class
+ * Class that inherits from Container class
+ * WhileContainer executes its children repeatedly while its Condition parameter is true
+ * The condition is evaluated after each iteration, up to MaxIterations iterations
+ */
+import Container from './Container';
+
+export default class WhileContainer extends Container {
+  /**
+   * Constructor
+   * @param {string} name - Name of the container
+   * @param {string|null} id - Unique ID of the container (auto-generated if null)
+   */
+  constructor(name = '', id = null) {
+    super(name, id);
+    this.kind = 'while';
+  }
+}
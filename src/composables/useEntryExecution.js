@@ -24,6 +24,46 @@ export function useEntryExecution() {
     }
   };
 
+  /**
+   * Execute several entries one after another as an ad-hoc group (e.g. the selected entries)
+   * @param {Array<Entry>} entries Entries to execute, in execution order
+   */
+  const executeEntries = async (entries) => {
+    if (!entries || entries.length === 0) return;
+
+    isExecuting.value = true;
+    try {
+      await entryExecutionService.executeGroup(entries);
+    } finally {
+      isExecuting.value = false;
+    }
+  };
+
+  /**
+   * Cancel the running execution
+   * The running script is stopped and its log is recorded with the cancelled status
+   */
+  const cancelExecution = () => {
+    entryExecutionService.cancel();
+  };
+
+  /**
+   * Get the health of the script engines
+   * Returns a reactive reference to an array of { name, state, message }
+   * @return {Object} Readonly reactive reference containing engine health
+   */
+  const getEngineHealth = () => {
+    return entryExecutionService.getEngineHealth();
+  };
+
+  /**
+   * Restart a script engine without reloading the page
+   * @param {string} engineName Engine name
+   */
+  const restartEngine = (engineName) => {
+    entryExecutionService.restartEngine(engineName);
+  };
+
   /**
    * Get execution logs from the ExecutionLogService
    * Returns a reactive reference to the logs
@@ -33,6 +73,23 @@ export function useEntryExecution() {
     return executionLogService.getLogs();
   };
 
+  /**
+   * Get the paging state of the stored execution logs
+   * Returns a reactive reference to { hasOlderRuns, loading }
+   * @return {Object} Readonly reactive reference containing the paging state
+   */
+  const getLogPagingState = () => {
+    return executionLogService.getPagingState();
+  };
+
+  /**
+   * Load older stored runs into the execution logs
+   * @return {Promise<number>} Number of runs added to the logs
+   */
+  const loadOlderLogs = () => {
+    return executionLogService.loadOlderRuns();
+  };
+
   /**
    * Clear all execution logs from the ExecutionLogService
    */
@@ -43,8 +100,14 @@ export function useEntryExecution() {
   // Return public API
   return {
     executeEntry,
+    executeEntries,
+    cancelExecution,
     isExecuting: readonly(isExecuting),
+    getEngineHealth,
+    restartEngine,
     getLogs,
+    getLogPagingState,
+    loadOlderLogs,
     clearLogs
   };
 }
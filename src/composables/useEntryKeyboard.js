@@ -0,0 +1,252 @@
+import { inject, nextTick } from 'vue'
+import { useEntryOperation } from './useEntryOperation'
+import { useEntrySelection } from './useEntrySelection'
+import { entryState } from './useEntryState'
+
+// Clipboard data type of copied entries; JSON text can be pasted in other tabs
+const CLIPBOARD_TEXT_TYPE = 'text/plain'
+
+/**
+ * Check whether an event comes from a form control, where the browser handles the keys itself
+ * @param {Event} event - Keyboard or clipboard event
+ * @returns {boolean} True if the event target is editable
+ */
+const isEditingText = (event) => {
+  const target = event.target
+  return Boolean(target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)))
+}
+
+/**
+ * Provides keyboard editing of the entries under a root container as a composable function
+ * - Ctrl+C / Ctrl+X / Ctrl+V copy, cut and paste the selected entries with their descendants (Ctrl+Shift+V pastes into a container)
+ * - Ctrl+D duplicates the selected entry, Delete removes the selected entries
+ * - Up/Down select the previous/next sibling, Right expands a collapsed container or selects its first child,
+ *   Left selects the parent container
+ * - Alt+Up/Down move the selected entry among its siblings
+ * @param {string} rootId - ID of the root container holding the recipe entries
+ * @returns {Object} Event handlers to register on the window
+ */
+export function useEntryKeyboard(rootId) {
+  const entryManager = inject('entryManager')
+  const recipeService = inject('recipeService')
+  const {
+    removeEntry, removeEntries, reorderEntry, insertEntries, duplicateEntry, setCollapsed, revealEntry
+  } = useEntryOperation()
+  const { selectedEntries } = useEntrySelection()
+  const selectedEntryId = entryState.getSelectedEntryId()
+
+  // Whether the next paste goes into the selected container (set by Ctrl+Shift+V)
+  let pasteIntoContainer = false
+
+  /**
+   * Get the selected entry, unless it is the root container
+   * @returns {Entry|null} Selected entry or null
+   */
+  const getSelectedEntry = () => {
+    const id = selectedEntryId.value
+    if (!id || id === rootId) return null
+    return entryManager.getEntry(id)
+  }
+
+  /**
+   * Select an entry and scroll it into view, expanding the collapsed containers that hide it
+   * @param {Entry|null} entry - Entry to select
+   */
+  const selectEntry = (entry) => {
+    if (!entry) return
+    revealEntry(entry.id)
+    entryState.setSelectedEntry(entry)
+    nextTick(() => {
+      const element = document.querySelector(`[data-entry-id="${CSS.escape(entry.id)}"]`)
+      element?.scrollIntoView({ block: 'nearest' })
+    })
+  }
+
+  /**
+   * Get the siblings of an entry and its index among them
+   * @param {string} entryId - ID of the entry
+   * @returns {Object} { parentId, siblings, index }
+   */
+  const getSiblings = (entryId) => {
+    const parent = entryManager.getParentEntry(entryId)
+    const siblings = parent ? parent.children : []
+    return {
+      parentId: parent ? parent.id : null,
+      siblings,
+      index: siblings.findIndex(sibling => sibling.id === entryId)
+    }
+  }
+
+  /**
+   * Get the selected entries other than the root container, in recipe order
+   * @returns {Array<Entry>} Selected entries
+   */
+  const getSelectedEntries = () => {
+    return selectedEntries.value.filter(entry => entry.id !== rootId)
+  }
+
+  /**
+   * Remove the selected entries and select the next sibling, previous sibling or parent of the last one
+   * @param {Array<Entry>} entries - Selected entries
+   */
+  const removeSelected = (entries) => {
+    const removedIds = entries.map(entry => entry.id)
+    const { parentId, siblings, index } = getSiblings(removedIds[removedIds.length - 1])
+    const remaining = siblings.filter(sibling => !removedIds.includes(sibling.id))
+    const nextEntry = siblings.slice(index + 1).find(sibling => remaining.includes(sibling)) ||
+      siblings.slice(0, index).reverse().find(sibling => remaining.includes(sibling)) ||
+      (parentId !== rootId ? entryManager.getEntry(parentId) : null)
+    if (entries.length === 1) {
+      removeEntry(removedIds[0])
+    } else {
+      removeEntries(removedIds)
+    }
+    if (nextEntry) {
+      selectEntry(nextEntry)
+    }
+  }
+
+  /**
+   * Move the selection with the arrow keys
+   * @param {Entry} entry - Selected entry
+   * @param {string} key - Arrow key
+   */
+  const moveSelection = (entry, key) => {
+    const { parentId, siblings, index } = getSiblings(entry.id)
+    if (key === 'ArrowUp') {
+      selectEntry(siblings[index - 1] || null)
+    } else if (key === 'ArrowDown') {
+      selectEntry(siblings[index + 1] || null)
+    } else if (key === 'ArrowRight' && entry.type === 'container' && entry.view.collapsed) {
+      setCollapsed(entry.id, false)
+    } else if (key === 'ArrowRight') {
+      selectEntry(entry.type === 'container' ? entry.children[0] || null : null)
+    } else if (key === 'ArrowLeft' && parentId !== rootId) {
+      selectEntry(entryManager.getEntry(parentId))
+    }
+  }
+
+  /**
+   * Move the selected entry one position up or down among its siblings
+   * @param {Entry} entry - Selected entry
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const moveEntryBy = (entry, offset) => {
+    const { parentId, siblings, index } = getSiblings(entry.id)
+    const newIndex = index + offset
+    if (newIndex < 0 || newIndex >= siblings.length) return
+    // reorderEntry takes the index before the entry is taken out of the list
+    reorderEntry(parentId, entry.id, offset > 0 ? newIndex + 1 : newIndex)
+    selectEntry(entry)
+  }
+
+  /**
+   * Handle the editing and navigation keys
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  const onEntryKeyDown = (event) => {
+    if (isEditingText(event)) return
+    const entry = getSelectedEntry()
+    const withCtrl = event.ctrlKey || event.metaKey
+    const key = event.key
+
+    if (withCtrl && !event.altKey && key.toLowerCase() === 'v') {
+      // The paste itself arrives as a paste event, which carries the clipboard data
+      pasteIntoContainer = event.shiftKey
+    } else if (withCtrl && !event.altKey && key.toLowerCase() === 'd') {
+      if (!entry) return
+      event.preventDefault()
+      selectEntry(duplicateEntry(entry.id)[0] || null)
+    } else if (key === 'Delete' && !withCtrl && !event.altKey) {
+      const entries = getSelectedEntries()
+      if (entries.length === 0) return
+      event.preventDefault()
+      removeSelected(entries)
+    } else if (event.altKey && !withCtrl && (key === 'ArrowUp' || key === 'ArrowDown')) {
+      if (!entry) return
+      event.preventDefault()
+      moveEntryBy(entry, key === 'ArrowUp' ? -1 : 1)
+    } else if (!event.altKey && !withCtrl && !event.shiftKey && key.startsWith('Arrow')) {
+      // Without a selection the arrow keys scroll the page as usual
+      if (!entry) return
+      event.preventDefault()
+      moveSelection(entry, key)
+    }
+  }
+
+  /**
+   * Write the selected entries to the clipboard as JSON
+   * Text selected on the page is copied by the browser as usual
+   * @param {ClipboardEvent} event - The copy or cut event
+   * @returns {Array<Entry>} Copied entries
+   */
+  const copySelected = (event) => {
+    if (isEditingText(event) || window.getSelection()?.toString()) return []
+    const entries = getSelectedEntries()
+    if (entries.length === 0) return []
+    const doc = recipeService.serializeEntries(entries.map(entry => entry.id))
+    event.clipboardData.setData(CLIPBOARD_TEXT_TYPE, JSON.stringify(doc, null, 2))
+    event.preventDefault()
+    return entries
+  }
+
+  /**
+   * Handle the copy event
+   * @param {ClipboardEvent} event - The copy event
+   */
+  const onCopy = (event) => {
+    copySelected(event)
+  }
+
+  /**
+   * Handle the cut event: copy the selected entries, then remove them
+   * @param {ClipboardEvent} event - The cut event
+   */
+  const onCut = (event) => {
+    const entries = copySelected(event)
+    if (entries.length > 0) {
+      removeSelected(entries)
+    }
+  }
+
+  /**
+   * Handle the paste event: insert copied entries with new IDs after the selected entry,
+   * into the selected container with Ctrl+Shift+V, or at the end of the recipe when nothing is selected
+   * @param {ClipboardEvent} event - The paste event
+   */
+  const onPaste = (event) => {
+    const intoContainer = pasteIntoContainer
+    pasteIntoContainer = false
+    if (isEditingText(event)) return
+    let doc
+    try {
+      doc = recipeService.parseEntries(JSON.parse(event.clipboardData.getData(CLIPBOARD_TEXT_TYPE)))
+    } catch (error) {
+      // Other clipboard contents are not entries
+      return
+    }
+    event.preventDefault()
+
+    const entry = getSelectedEntry()
+    let parentId = rootId
+    let index = entryManager.getEntry(rootId).children.length
+    if (entry && intoContainer && entry.type === 'container') {
+      parentId = entry.id
+      index = entry.children.length
+    } else if (entry) {
+      const siblings = getSiblings(entry.id)
+      parentId = siblings.parentId
+      index = siblings.index + 1
+    }
+    const entries = insertEntries('Paste', parentId, index, doc)
+    selectEntry(entries[0] || null)
+  }
+
+  // Return public API
+  return {
+    onEntryKeyDown,
+    onCopy,
+    onCut,
+    onPaste
+  }
+}
@@ -1,15 +1,34 @@
 import { inject } from 'vue'
 import Block from '../classes/Block'
 import Container from '../classes/Container'
+import RepeatContainer from '../classes/RepeatContainer'
+import WhileContainer from '../classes/WhileContainer'
+import IfContainer from '../classes/IfContainer'
+import Variable from '../classes/Variable'
 import { entryState } from './useEntryState'
+import { recentBlocks } from './useRecentBlocks'
+
+// Container classes by execution kind of the container definition
+const containerClasses = {
+  sequence: Container,
+  repeat: RepeatContainer,
+  while: WhileContainer,
+  if: IfContainer,
+}
 
 export function useEntryOperation() {
   const entryManager = inject('entryManager')
   const entryParamManager = inject('entryParamManager')
+  const entryConnectionManager = inject('entryConnectionManager')
   const entryDefinitionService = inject('entryDefinitionService')
+  const recipeService = inject('recipeService')
+  const historyService = inject('historyService')
+  const entryExecutionService = inject('entryExecutionService')
+
+  // --- Operations applied without recording history ---
 
-  const addBlock = (parentId, name, index) => {
-    const newBlock = new Block(name)
+  const createBlock = (parentId, name, index, id = null) => {
+    const newBlock = new Block(name, id)
     entryManager.addEntry(parentId, newBlock, index)
     const defaultParams = entryDefinitionService.getBlockDefaultParams(name)
     entryParamManager.setInputParams(newBlock.id, defaultParams.input)
@@ -17,26 +36,518 @@ export function useEntryOperation() {
     return newBlock
   }
 
-  const addContainer = (parentId, name, index) => {
-    const newContainer = new Container(name)
+  const createContainer = (parentId, name, index, id = null) => {
+    // Control-flow containers are defined by name, plain containers have no definition
+    const containerDef = entryDefinitionService.containerDefinitions[name]
+    const ContainerClass = (containerDef && containerClasses[containerDef.kind]) || Container
+    const newContainer = new ContainerClass(name, id)
     entryManager.addEntry(parentId, newContainer, index)
+    if (containerDef) {
+      const defaultParams = entryDefinitionService.getContainerDefaultParams(name)
+      entryParamManager.setInputParams(newContainer.id, defaultParams.input)
+      entryParamManager.setOutputParams(newContainer.id, defaultParams.output)
+    }
     return newContainer
   }
 
-  const removeEntry = (id) => {
+  // Restore saved input parameter values onto a re-created entry
+  const restoreInputParams = (entryId, node) => {
+    const savedParams = node.inputParams || {}
+    if (entryDefinitionService.getDefinition(node.name)) {
+      // Only restore parameters that still exist in the current definition
+      const inputParams = entryParamManager.getInputParams(entryId)
+      for (const paramName of Object.keys(inputParams)) {
+        if (paramName in savedParams) {
+          inputParams[paramName] = savedParams[paramName]
+        }
+      }
+    } else if (node.type === 'block') {
+      console.warn(`Block definition not found: ${node.name}`)
+      entryParamManager.setInputParams(entryId, { ...savedParams })
+    }
+  }
+
+  // Replace the variables of a container with copies of serialized variables
+  const replaceVariables = (containerId, variables) => {
+    const container = entryManager.getEntry(containerId)
+    container.variables.splice(0, container.variables.length,
+      ...variables.map(variable => new Variable(variable.name, variable.dataType, variable.value)))
+  }
+
+  // Rebuild a serialized entry node (see RecipeService.serializeEntry) keeping its ID
+  const insertNode = (parentId, node, index) => {
+    if (node.type === 'container') {
+      const container = createContainer(parentId, node.name, index, node.id)
+      restoreInputParams(container.id, node)
+      entryParamManager.setInputBindings(container.id, { ...node.inputBindings })
+      entryParamManager.setInputExpressions(container.id, { ...node.inputExpressions })
+      if (node.variables) {
+        replaceVariables(container.id, node.variables)
+      }
+      if (node.errorPolicy) {
+        Object.assign(container.errorPolicy, node.errorPolicy)
+      }
+      if (node.parallelism) {
+        Object.assign(container.parallelism, node.parallelism)
+      }
+      if (node.view) {
+        Object.assign(container.view, node.view)
+      }
+      node.children.forEach((child, childIndex) => insertNode(container.id, child, childIndex))
+      return container
+    }
+    const block = createBlock(parentId, node.name, index, node.id)
+    restoreInputParams(block.id, node)
+    entryParamManager.setInputBindings(block.id, { ...node.inputBindings })
+    entryParamManager.setInputExpressions(block.id, { ...node.inputExpressions })
+    return block
+  }
+
+  // Remove an entry and its descendants, returning the connections removed with them
+  const deleteEntry = (id) => {
     const selectedId = entryState.getSelectedEntryId().value
-    if (selectedId && (selectedId === id || entryManager.getAllDescendantIds(id).includes(selectedId))) {
+    const removedIds = entryManager.getAllDescendantIds(id)
+    if (selectedId && removedIds.includes(selectedId)) {
       entryState.clearSelection()
+    } else {
+      entryState.deselectEntries(removedIds)
     }
-    entryManager.removeEntry(id)
+    if (!entryManager.removeEntry(id)) return []
+    entryExecutionService.getDebugger().removeBreakpoints(removedIds)
+    return entryConnectionManager.removeConnectionsForEntries(removedIds)
+  }
+
+  const addConnections = (connections) => {
+    connections.forEach(connection => entryConnectionManager.addConnection(
+      connection.sourceEntryId,
+      connection.sourceParamName,
+      connection.targetEntryId,
+      connection.targetParamName
+    ))
+  }
+
+  const getIndexInParent = (parentId, entryId) => {
+    const parent = entryManager.getEntry(parentId)
+    return parent ? parent.children.findIndex(child => child.id === entryId) : -1
+  }
+
+  // Move an entry to the end of a container
+  const appendEntry = (entryId, parentId) => {
+    const parent = entryManager.getEntry(parentId)
+    const length = parent.children.length - (getIndexInParent(parentId, entryId) !== -1 ? 1 : 0)
+    return entryManager.moveEntry(entryId, parentId, length)
+  }
+
+  // --- Operations recorded in the history ---
+
+  // Record the insertion of a new entry; undo removes it and redo restores it with the same ID
+  const recordInsertion = (label, parentId, index, create) => {
+    let entryId = null
+    let snapshot = null
+    return historyService.execute({
+      label,
+      execute: () => {
+        const entry = snapshot ? insertNode(parentId, snapshot, index) : create()
+        entryId = entry.id
+        return entry
+      },
+      undo: () => {
+        snapshot = recipeService.serializeEntry(entryManager.getEntry(entryId))
+        deleteEntry(entryId)
+      }
+    })
+  }
+
+  const addBlock = (parentId, name, index, id = null) => {
+    recentBlocks.addRecentBlock(name)
+    return recordInsertion(`Add ${name}`, parentId, index, () => createBlock(parentId, name, index, id))
+  }
+
+  const addContainer = (parentId, name, index, id = null) => {
+    // Root containers are not part of the editable history
+    if (parentId === null) {
+      return createContainer(parentId, name, index, id)
+    }
+    return recordInsertion(`Add ${name}`, parentId, index, () => createContainer(parentId, name, index, id))
+  }
+
+  const restoreEntry = (parentId, node, index) => {
+    return recordInsertion(`Restore ${node.name}`, parentId, index, () => insertNode(parentId, node, index))
+  }
+
+  const removeEntry = (id) => {
+    const entry = entryManager.getEntry(id)
+    const parentId = entryManager.getParentId(id)
+    if (!entry || !parentId) return
+    const index = getIndexInParent(parentId, id)
+    let snapshot = null
+    let connections = []
+    historyService.execute({
+      label: `Remove ${entry.name}`,
+      execute: () => {
+        // Keep the whole subtree so that undo can rebuild it
+        snapshot = recipeService.serializeEntry(entryManager.getEntry(id))
+        connections = deleteEntry(id)
+      },
+      undo: () => {
+        insertNode(parentId, snapshot, index)
+        addConnections(connections)
+      }
+    })
+  }
+
+  const clearChildren = (parentId) => {
+    const parent = entryManager.getEntry(parentId)
+    if (!parent) return
+    historyService.transact('Clear', () => {
+      for (const child of [...parent.children]) {
+        removeEntry(child.id)
+      }
+    })
   }
 
   const reorderEntry = (parentId, entryId, index) => {
-    entryManager.reorderEntry(parentId, entryId, index)
+    const oldIndex = getIndexInParent(parentId, entryId)
+    // Move the entry so that it ends up at finalIndex (reorderEntry takes the index before removal)
+    const reorderTo = (finalIndex) => {
+      const currentIndex = getIndexInParent(parentId, entryId)
+      return entryManager.reorderEntry(parentId, entryId, finalIndex > currentIndex ? finalIndex + 1 : finalIndex)
+    }
+    let newIndex = -1
+    historyService.execute({
+      label: 'Reorder',
+      execute: () => {
+        if (newIndex !== -1) return reorderTo(newIndex)
+        const result = entryManager.reorderEntry(parentId, entryId, index)
+        newIndex = getIndexInParent(parentId, entryId)
+        return result && newIndex !== oldIndex
+      },
+      undo: () => reorderTo(oldIndex)
+    })
   }
 
   const moveEntry = (entryId, targetParentId, index) => {
-    entryManager.moveEntry(entryId, targetParentId, index)
+    const oldParentId = entryManager.getParentId(entryId)
+    const oldIndex = getIndexInParent(oldParentId, entryId)
+    historyService.execute({
+      label: 'Move',
+      execute: () => entryManager.moveEntry(entryId, targetParentId, index),
+      undo: () => entryManager.moveEntry(entryId, oldParentId, oldIndex)
+    })
+  }
+
+  // Remove several entries as a single step
+  const removeEntries = (ids) => {
+    runTransaction(`Remove ${ids.length} entries`, () => {
+      // Entries inside a removed container are already gone
+      ids.forEach(id => removeEntry(id))
+    })
+  }
+
+  // Move several entries into a container at index (counted before they are taken out), keeping their order
+  const moveEntries = (ids, targetParentId, index) => {
+    const target = entryManager.getEntry(targetParentId)
+    if (!target) return
+    // A container cannot be moved into itself or one of its descendants
+    const movedIds = ids.filter(id => !entryManager.getAllDescendantIds(id).includes(targetParentId))
+    if (movedIds.length === 0) return
+    // The entries end up before the first child at or after index that is not moved, or at the end
+    const anchorId = target.children.slice(index).find(child => !movedIds.includes(child.id))?.id || null
+    const origins = movedIds.map(id => {
+      const parentId = entryManager.getParentId(id)
+      return { id, parentId, index: getIndexInParent(parentId, id) }
+    })
+    historyService.execute({
+      label: `Move ${movedIds.length} entries`,
+      execute: () => {
+        for (const id of movedIds) {
+          if (!anchorId) {
+            appendEntry(id, targetParentId)
+            continue
+          }
+          const anchorIndex = getIndexInParent(targetParentId, anchorId)
+          const currentIndex = getIndexInParent(targetParentId, id)
+          entryManager.moveEntry(id, targetParentId, currentIndex !== -1 && currentIndex < anchorIndex ? anchorIndex - 1 : anchorIndex)
+        }
+      },
+      undo: () => {
+        // Put the entries after the other children first, so that each one finds its earlier siblings in place
+        origins.forEach(origin => appendEntry(origin.id, origin.parentId))
+        const ordered = [...origins].sort((a, b) => a.index - b.index)
+        ordered.forEach(origin => entryManager.moveEntry(origin.id, origin.parentId, origin.index))
+      }
+    })
+  }
+
+  // Move the children of a container to its parent at its index and remove the container, as a single step
+  // Variables declared in the container move to the parent, so that inputs bound to them keep their values;
+  // throws if a variable of an enclosing container has the same name, as it would clash or be hidden
+  const unwrapContainer = (id) => {
+    const container = entryManager.getEntry(id)
+    const parentId = entryManager.getParentId(id)
+    if (!container || container.type !== 'container' || !parentId) return []
+    const conflicts = container.variables
+      .filter(variable => entryManager.findVariable(id, variable.name) !== null)
+      .map(variable => variable.name)
+    if (conflicts.length > 0) {
+      throw new Error(`Cannot unwrap ${container.name}: enclosing containers already declare ${conflicts.join(', ')}`)
+    }
+    const children = [...container.children]
+    const variables = container.variables.map(variable => ({ ...variable }))
+    return runTransaction(`Unwrap ${container.name}`, () => {
+      if (variables.length > 0) {
+        historyService.execute({
+          label: 'Move variables',
+          execute: () => {
+            entryManager.getEntry(parentId).variables.push(
+              ...variables.map(variable => new Variable(variable.name, variable.dataType, variable.value)))
+          },
+          undo: () => {
+            const parentVariables = entryManager.getEntry(parentId).variables
+            parentVariables.splice(parentVariables.length - variables.length, variables.length)
+          }
+        })
+      }
+      moveEntries(children.map(child => child.id), parentId, getIndexInParent(parentId, id))
+      removeEntry(id)
+      return children
+    })
+  }
+
+  // Wrap several entries in a new container placed where the first of them is
+  const wrapEntries = (ids, name = 'Container') => {
+    const parentId = entryManager.getParentId(ids[0])
+    if (!parentId) return null
+    return runTransaction(`Wrap in ${name}`, () => {
+      const container = addContainer(parentId, name, getIndexInParent(parentId, ids[0]))
+      moveEntries(ids, container.id, 0)
+      return container
+    })
+  }
+
+  const setInputParam = (entryId, paramName, value) => {
+    const oldValue = entryParamManager.getInputParam(entryId, paramName)
+    if (oldValue === value) return
+    historyService.execute({
+      label: `Set ${paramName}`,
+      execute: () => entryParamManager.setInputParam(entryId, paramName, value),
+      undo: () => entryParamManager.setInputParam(entryId, paramName, oldValue)
+    })
+  }
+
+  // Set an input parameter of several entries as a single step (e.g. blocks of the same type)
+  const setInputParams = (entryIds, paramName, value) => {
+    runTransaction(`Set ${paramName} of ${entryIds.length} entries`, () => {
+      entryIds.forEach(entryId => setInputParam(entryId, paramName, value))
+    })
+  }
+
+  // Change the error policy of a container ({ mode, retryCount, retryDelay })
+  const setErrorPolicy = (entryId, changes) => {
+    const entry = entryManager.getEntry(entryId)
+    if (!entry || !entry.errorPolicy) return
+    const oldPolicy = { ...entry.errorPolicy }
+    if (Object.keys(changes).every(key => oldPolicy[key] === changes[key])) return
+    historyService.execute({
+      label: 'Set error policy',
+      // Look the container up again, it is a new object after undo of its removal
+      execute: () => Object.assign(entryManager.getEntry(entryId).errorPolicy, changes),
+      undo: () => Object.assign(entryManager.getEntry(entryId).errorPolicy, oldPolicy)
+    })
+  }
+
+  // Change the parallel execution settings of a container ({ enabled, maxConcurrency })
+  const setParallelism = (entryId, changes) => {
+    const entry = entryManager.getEntry(entryId)
+    if (!entry || !entry.parallelism) return
+    const oldParallelism = { ...entry.parallelism }
+    if (Object.keys(changes).every(key => oldParallelism[key] === changes[key])) return
+    historyService.execute({
+      label: 'Set parallel execution',
+      execute: () => Object.assign(entryManager.getEntry(entryId).parallelism, changes),
+      undo: () => Object.assign(entryManager.getEntry(entryId).parallelism, oldParallelism)
+    })
+  }
+
+  const findVariable = (containerId, name) => {
+    const container = entryManager.getEntry(containerId)
+    return container && container.variables ? container.variables.find(variable => variable.name === name) : undefined
+  }
+
+  // Declare a variable in the scope of a container; names are unique within a scope
+  const addVariable = (containerId, name, dataType) => {
+    const container = entryManager.getEntry(containerId)
+    if (!container || !container.variables) return null
+    if (!Variable.isValidName(name) || findVariable(containerId, name)) return null
+    return historyService.execute({
+      label: `Add variable ${name}`,
+      // Look the container up again, it is a new object after undo of its removal
+      execute: () => {
+        const variable = new Variable(name, dataType)
+        entryManager.getEntry(containerId).variables.push(variable)
+        return variable
+      },
+      undo: () => {
+        const variables = entryManager.getEntry(containerId).variables
+        variables.splice(variables.findIndex(variable => variable.name === name), 1)
+      }
+    })
+  }
+
+  const removeVariable = (containerId, name) => {
+    const variable = findVariable(containerId, name)
+    if (!variable) return
+    const index = entryManager.getEntry(containerId).variables.indexOf(variable)
+    const removed = { ...variable }
+    historyService.execute({
+      label: `Remove variable ${name}`,
+      execute: () => entryManager.getEntry(containerId).variables.splice(index, 1),
+      undo: () => entryManager.getEntry(containerId).variables
+        .splice(index, 0, new Variable(removed.name, removed.dataType, removed.value))
+    })
+  }
+
+  const setVariableValue = (containerId, name, value) => {
+    const variable = findVariable(containerId, name)
+    if (!variable || variable.value === value) return
+    const oldValue = variable.value
+    historyService.execute({
+      label: `Set ${name}`,
+      execute: () => { findVariable(containerId, name).value = value },
+      undo: () => { findVariable(containerId, name).value = oldValue }
+    })
+  }
+
+  // Replace all variables of a container (e.g. the recipe variables of the root container)
+  const setVariables = (containerId, variables) => {
+    const container = entryManager.getEntry(containerId)
+    if (!container || !container.variables) return
+    const oldVariables = container.variables.map(variable => ({ ...variable }))
+    historyService.execute({
+      label: 'Set variables',
+      execute: () => replaceVariables(containerId, variables),
+      undo: () => replaceVariables(containerId, oldVariables)
+    })
+  }
+
+  // Bind an input parameter to a variable of an enclosing container, resolved when the entry runs
+  const bindParam = (entryId, paramName, variableName) => {
+    const oldName = entryParamManager.getInputBinding(entryId, paramName) || null
+    const newName = variableName || null
+    if (oldName === newName) return
+    historyService.execute({
+      label: newName ? `Bind ${paramName} to ${newName}` : `Unbind ${paramName}`,
+      execute: () => entryParamManager.setInputBinding(entryId, paramName, newName),
+      undo: () => entryParamManager.setInputBinding(entryId, paramName, oldName)
+    })
+  }
+
+  const unbindParam = (entryId, paramName) => {
+    bindParam(entryId, paramName, null)
+  }
+
+  // Give an expression to an input parameter (null to use its literal value again)
+  const setInputExpression = (entryId, paramName, expression) => {
+    const oldExpression = entryParamManager.getInputExpression(entryId, paramName) ?? null
+    const newExpression = expression ?? null
+    if (oldExpression === newExpression) return
+    historyService.execute({
+      label: newExpression === null ? `Clear expression of ${paramName}` : `Set expression of ${paramName}`,
+      execute: () => entryParamManager.setInputExpression(entryId, paramName, newExpression),
+      undo: () => entryParamManager.setInputExpression(entryId, paramName, oldExpression)
+    })
+  }
+
+  // Check whether an output parameter may be connected to an input parameter
+  const canConnectParams = (sourceEntryId, sourceParamName, targetEntryId, targetParamName) => {
+    if (sourceEntryId === targetEntryId) return false
+    const sourceEntry = entryManager.getEntry(sourceEntryId)
+    const targetEntry = entryManager.getEntry(targetEntryId)
+    if (!sourceEntry || !targetEntry) return false
+    const outputDef = entryDefinitionService.getParamDefinition(sourceEntry.name, 'output', sourceParamName)
+    const inputDef = entryDefinitionService.getParamDefinition(targetEntry.name, 'input', targetParamName)
+    if (!outputDef || !inputDef) return false
+    return entryDefinitionService.areDataTypesCompatible(outputDef.dataType, inputDef.dataType)
+  }
+
+  const connectParams = (sourceEntryId, sourceParamName, targetEntryId, targetParamName) => {
+    if (!canConnectParams(sourceEntryId, sourceParamName, targetEntryId, targetParamName)) {
+      console.warn(`Cannot connect ${sourceParamName} to ${targetParamName}: incompatible parameters`)
+      return null
+    }
+    // Adding a connection replaces the one already feeding the input parameter
+    const replaced = entryConnectionManager.getInputConnection(targetEntryId, targetParamName)
+    const previous = replaced ? { ...replaced } : null
+    return historyService.execute({
+      label: `Connect ${sourceParamName} to ${targetParamName}`,
+      execute: () => entryConnectionManager.addConnection(sourceEntryId, sourceParamName, targetEntryId, targetParamName),
+      undo: () => {
+        entryConnectionManager.removeConnection(entryConnectionManager.getInputConnection(targetEntryId, targetParamName).id)
+        if (previous) addConnections([previous])
+      }
+    })
+  }
+
+  const disconnectParams = (connectionId) => {
+    const connection = entryConnectionManager.getConnection(connectionId)
+    if (!connection) return
+    const removed = { ...connection }
+    historyService.execute({
+      label: `Disconnect ${removed.targetParamName}`,
+      execute: () => entryConnectionManager.removeConnection(connectionId),
+      undo: () => addConnections([removed])
+    })
+  }
+
+  // Run several operations as a single history step
+  const runTransaction = (label, fn) => {
+    return historyService.transact(label, fn)
+  }
+
+  // Insert copied entries (see RecipeService.parseEntries) and the connections between them as a single step
+  const insertEntries = (label, parentId, index, doc) => {
+    return runTransaction(label, () => {
+      const entries = doc.entries.map((node, offset) => restoreEntry(parentId, node, index + offset))
+      doc.connections.forEach(connection => connectParams(
+        connection.sourceEntryId,
+        connection.sourceParamName,
+        connection.targetEntryId,
+        connection.targetParamName
+      ))
+      return entries
+    })
+  }
+
+  // Insert a copy of an entry and its descendants with new IDs right after it
+  const duplicateEntry = (id) => {
+    const entry = entryManager.getEntry(id)
+    const parentId = entryManager.getParentId(id)
+    if (!entry || !parentId) return []
+    const doc = recipeService.parseEntries(recipeService.serializeEntries([id]))
+    return insertEntries(`Duplicate ${entry.name}`, parentId, getIndexInParent(parentId, id) + 1, doc)
+  }
+
+  // --- Display state, saved with the recipe but not recorded in the history ---
+
+  // Collapse or expand a container in the editor
+  const setCollapsed = (containerId, collapsed) => {
+    const container = entryManager.getEntry(containerId)
+    if (!container || !container.view) return
+    container.view.collapsed = collapsed
+  }
+
+  // Collapse or expand all the containers under a container (e.g. the whole recipe)
+  const setAllCollapsed = (parentId, collapsed) => {
+    for (const id of entryManager.getAllDescendantIds(parentId)) {
+      if (id !== parentId) {
+        setCollapsed(id, collapsed)
+      }
+    }
+  }
+
+  // Expand the containers enclosing an entry so that it is displayed
+  const revealEntry = (entryId) => {
+    entryManager.getAncestors(entryId).forEach(ancestor => setCollapsed(ancestor.id, false))
   }
 
   const getAllDescendantIds = (id) => {
@@ -51,8 +562,34 @@ export function useEntryOperation() {
     addBlock,
     addContainer,
     removeEntry,
+    removeEntries,
+    clearChildren,
+    restoreEntry,
     reorderEntry,
     moveEntry,
+    moveEntries,
+    wrapEntries,
+    unwrapContainer,
+    setInputParam,
+    setInputParams,
+    setErrorPolicy,
+    setParallelism,
+    addVariable,
+    removeVariable,
+    setVariableValue,
+    setVariables,
+    bindParam,
+    unbindParam,
+    setInputExpression,
+    canConnectParams,
+    connectParams,
+    disconnectParams,
+    runTransaction,
+    insertEntries,
+    duplicateEntry,
+    setCollapsed,
+    setAllCollapsed,
+    revealEntry,
     getAllDescendantIds,
     getParentId,
   }
@@ -0,0 +1,78 @@
+import { inject, ref, readonly, computed } from 'vue'
+import RunState from '../services/entry_execution/RunState'
+
+// Module-level singleton state
+// Execution to show in the execution log; the sequence number makes repeated requests distinct
+const revealRequest = ref(null) // null | { executionId, sequence }
+let revealSequence = 0
+
+// Display labels of the run states
+const runStateLabels = {
+  [RunState.IDLE]: 'Idle',
+  [RunState.QUEUED]: 'Queued',
+  [RunState.RUNNING]: 'Running',
+  [RunState.SUCCEEDED]: 'Succeeded',
+  [RunState.FAILED]: 'Failed',
+  [RunState.SKIPPED]: 'Skipped'
+}
+
+/**
+ * Provides the run states of the entries and navigation to their executions in the log
+ * @returns {Object} Run state accessors and methods
+ */
+export function useEntryRunState() {
+  const entryExecutionService = inject('entryExecutionService')
+  const runStates = entryExecutionService.getRunStates()
+
+  /**
+   * Get the run state of an entry
+   * @param {string} entryId - Entry ID
+   * @returns {ComputedRef<Object>} Run state ({ state, executionId, execTime, errorMessage })
+   */
+  const runStateOf = (entryId) =>
+    computed(() => runStates.value[entryId] || { state: RunState.IDLE, executionId: null, execTime: null, errorMessage: null })
+
+  /**
+   * Describe a run state, with the time and error of the last execution
+   * @param {Object} runState - Run state
+   * @returns {string} Description (e.g. "Failed after 1.234ms: Division by zero")
+   */
+  const describeRunState = (runState) => {
+    const label = runStateLabels[runState.state] || runState.state
+    const time = typeof runState.execTime === 'number' ? `${runState.execTime.toFixed(3)}ms` : null
+    switch (runState.state) {
+      case RunState.SUCCEEDED:
+        return time ? `${label} in ${time}` : label
+      case RunState.FAILED: {
+        const text = time ? `${label} after ${time}` : label
+        return runState.errorMessage ? `${text}: ${runState.errorMessage}` : text
+      }
+      default:
+        return label
+    }
+  }
+
+  /**
+   * Request ExecutionLogView to show the row of an execution
+   * @param {string} executionId - Execution ID
+   */
+  const revealInLog = (executionId) => {
+    if (!executionId) return
+    revealSequence++
+    revealRequest.value = { executionId, sequence: revealSequence }
+  }
+
+  /**
+   * Get the last request to show an execution in the log
+   * @returns {Readonly<Ref<Object|null>>} Reveal request ({ executionId, sequence })
+   */
+  const getRevealRequest = () => readonly(revealRequest)
+
+  // Return public API
+  return {
+    runStateOf,
+    describeRunState,
+    revealInLog,
+    getRevealRequest
+  }
+}
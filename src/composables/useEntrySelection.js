@@ -0,0 +1,103 @@
+import { inject, computed } from 'vue'
+import { entryState } from './useEntryState'
+
+/**
+ * Provides multi-selection of entries as a composable function
+ * - Click selects an entry, Ctrl+click adds it to the selection or takes it out
+ * - Shift+click selects the siblings from the primary selected entry to the clicked entry
+ * @returns {Object} Selection handler and the selected entries
+ */
+export function useEntrySelection() {
+  const entryManager = inject('entryManager')
+  const selectedEntryId = entryState.getSelectedEntryId()
+  const selectedEntryIds = entryState.getSelectedEntryIds()
+
+  /**
+   * Get the position of an entry in the recipe, as the indexes in its ancestors from the root down
+   * @param {string} entryId - ID of the entry
+   * @returns {Array<number>} Indexes in the ancestors
+   */
+  const getPosition = (entryId) => {
+    const position = []
+    let childId = entryId
+    for (const ancestor of entryManager.getAncestors(entryId)) {
+      position.unshift(ancestor.children.findIndex(child => child.id === childId))
+      childId = ancestor.id
+    }
+    return position
+  }
+
+  /**
+   * Compare the positions of two entries in the recipe
+   * @param {Array<number>} a - Position of the first entry
+   * @param {Array<number>} b - Position of the second entry
+   * @returns {number} Negative if the first entry comes first
+   */
+  const comparePositions = (a, b) => {
+    for (let depth = 0; depth < Math.min(a.length, b.length); depth++) {
+      if (a[depth] !== b[depth]) return a[depth] - b[depth]
+    }
+    return a.length - b.length
+  }
+
+  // Selected entries in recipe order, leaving out those inside another selected container
+  // (bulk operations on a container already apply to its descendants)
+  const selectedEntries = computed(() => {
+    const ids = new Set(selectedEntryIds.value)
+    return [...ids]
+      .map(id => entryManager.getEntry(id))
+      .filter(entry => entry && !entryManager.getAncestors(entry.id).some(ancestor => ids.has(ancestor.id)))
+      .map(entry => ({ entry, position: getPosition(entry.id) }))
+      .sort((a, b) => comparePositions(a.position, b.position))
+      .map(item => item.entry)
+  })
+
+  /**
+   * Select the siblings from the primary selected entry to an entry
+   * @param {Entry} entry - Entry at the other end of the range
+   * @returns {boolean} False if the primary selected entry is not a sibling of the entry
+   */
+  const selectRange = (entry) => {
+    const anchorId = selectedEntryId.value
+    const parent = entryManager.getParentEntry(entry.id)
+    if (!anchorId || !parent || entryManager.getParentId(anchorId) !== parent.id) return false
+    const anchorIndex = parent.children.findIndex(child => child.id === anchorId)
+    const index = parent.children.findIndex(child => child.id === entry.id)
+    const ids = parent.children
+      .slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1)
+      .map(child => child.id)
+    entryState.setSelectedEntries(ids, anchorId)
+    return true
+  }
+
+  /**
+   * Select an entry according to the modifier keys of a click
+   * @param {Entry} entry - Clicked entry
+   * @param {MouseEvent} event - The click event
+   */
+  const selectByClick = (entry, event) => {
+    if (event.ctrlKey || event.metaKey) {
+      entryState.toggleEntrySelection(entry)
+    } else if (!event.shiftKey || !selectRange(entry)) {
+      entryState.setSelectedEntry(entry)
+    }
+  }
+
+  /**
+   * Get the entries dragged together with an entry
+   * @param {string} entryId - ID of the entry the drag starts from
+   * @returns {Array<string>|null} IDs of the selected entries in recipe order,
+   *   or null if the entry is not part of a selection of several entries
+   */
+  const getDraggedSelection = (entryId) => {
+    if (selectedEntryIds.value.length < 2 || !selectedEntryIds.value.includes(entryId)) return null
+    return selectedEntries.value.map(entry => entry.id)
+  }
+
+  // Return public API
+  return {
+    selectedEntries,
+    selectByClick,
+    getDraggedSelection
+  }
+}
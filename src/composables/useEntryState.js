@@ -1,8 +1,10 @@
 import { ref, readonly, computed } from 'vue'
 
 // Module-level singleton state
-const selectedEntryId = ref(null)
+const selectedEntryId = ref(null) // Primary selection: the entry shown in EntryView and the anchor of Shift-click
+const selectedEntryIds = ref([]) // All selected entries, in the order they were selected
 const pendingConnection = ref(null) // null | { entryId, paramName, paramKind }
+const selectedConnectionId = ref(null)
 
 /**
  * Composable for entry selection and parameter connection waiting state.
@@ -13,17 +15,64 @@ function useEntryState() {
 
   const setSelectedEntry = (entry) => {
     selectedEntryId.value = entry?.id || null
+    selectedEntryIds.value = entry?.id ? [entry.id] : []
+    selectedConnectionId.value = null
+  }
+
+  // Select several entries at once; primaryId stays the primary selection if it is among them
+  const setSelectedEntries = (entryIds, primaryId = null) => {
+    selectedEntryIds.value = [...new Set(entryIds)]
+    selectedEntryId.value = selectedEntryIds.value.includes(primaryId)
+      ? primaryId
+      : selectedEntryIds.value[selectedEntryIds.value.length - 1] || null
+    selectedConnectionId.value = null
+  }
+
+  // Add an entry to the selection, or take it out if it is already selected (Ctrl-click)
+  const toggleEntrySelection = (entry) => {
+    if (selectedEntryIds.value.includes(entry.id)) {
+      setSelectedEntries(selectedEntryIds.value.filter(id => id !== entry.id), selectedEntryId.value)
+    } else {
+      setSelectedEntries([...selectedEntryIds.value, entry.id], entry.id)
+    }
+  }
+
+  // Take entries out of the selection (e.g. when they are removed)
+  const deselectEntries = (entryIds) => {
+    if (!entryIds.some(id => selectedEntryIds.value.includes(id))) return
+    setSelectedEntries(selectedEntryIds.value.filter(id => !entryIds.includes(id)), selectedEntryId.value)
   }
 
   const clearSelection = () => {
     selectedEntryId.value = null
+    selectedEntryIds.value = []
   }
 
   const isSelected = (entryId) =>
-    computed(() => selectedEntryId.value === entryId)
+    computed(() => selectedEntryIds.value.includes(entryId))
+
+  // Whether the entry is the only selected entry (its own commands are shown then)
+  const isOnlySelected = (entryId) =>
+    computed(() => selectedEntryIds.value.length === 1 && selectedEntryId.value === entryId)
 
   const getSelectedEntryId = () => readonly(selectedEntryId)
 
+  const getSelectedEntryIds = () => readonly(selectedEntryIds)
+
+  // --- Connection selection ---
+
+  const setSelectedConnection = (connectionId) => {
+    selectedConnectionId.value = connectionId || null
+    selectedEntryId.value = null
+    selectedEntryIds.value = []
+  }
+
+  const clearConnectionSelection = () => {
+    selectedConnectionId.value = null
+  }
+
+  const getSelectedConnectionId = () => readonly(selectedConnectionId)
+
   // --- Connection waiting ---
 
   const startConnection = (entryId, paramName, paramKind) => {
@@ -34,6 +83,8 @@ function useEntryState() {
     pendingConnection.value = null
   }
 
+  const getPendingConnection = () => readonly(pendingConnection)
+
   const isConnectingParam = computed(() => pendingConnection.value !== null)
 
   const isConnectingParamFor = (entryId, paramName, paramKind) =>
@@ -51,18 +102,29 @@ function useEntryState() {
       cancelConnection()
     } else {
       clearSelection()
+      clearConnectionSelection()
     }
   }
 
   return {
     // selection
     setSelectedEntry,
+    setSelectedEntries,
+    toggleEntrySelection,
+    deselectEntries,
     clearSelection,
     isSelected,
+    isOnlySelected,
     getSelectedEntryId,
+    getSelectedEntryIds,
+    // connection selection
+    setSelectedConnection,
+    clearConnectionSelection,
+    getSelectedConnectionId,
     // connection
     startConnection,
     cancelConnection,
+    getPendingConnection,
     isConnectingParam,
     isConnectingParamFor,
     // combined
@@ -0,0 +1,81 @@
+import { inject, computed } from 'vue'
+
+/**
+ * Provides breakpoints and step-through execution as a composable function
+ * @returns {Object} Debugger state and methods
+ */
+export function useExecutionDebugger() {
+  const entryExecutionService = inject('entryExecutionService')
+  const executionDebugger = entryExecutionService.getDebugger()
+  const breakpoints = executionDebugger.getBreakpoints()
+  const debugState = executionDebugger.getState()
+
+  const isRunning = computed(() => debugState.value.running)
+  const isPaused = computed(() => debugState.value.paused)
+
+  /**
+   * Check whether an entry has a breakpoint
+   * @param {string} entryId - Entry ID
+   * @returns {ComputedRef<boolean>} True if the entry has a breakpoint
+   */
+  const isBreakpoint = (entryId) =>
+    computed(() => breakpoints.value.has(entryId))
+
+  /**
+   * Check whether the execution is paused before an entry
+   * @param {string} entryId - Entry ID
+   * @returns {ComputedRef<boolean>} True if paused at the entry
+   */
+  const isPausedAt = (entryId) =>
+    computed(() => debugState.value.paused && debugState.value.entryId === entryId)
+
+  /**
+   * Set or remove the breakpoint of an entry
+   * @param {string} entryId - Entry ID
+   */
+  const toggleBreakpoint = (entryId) => {
+    executionDebugger.toggleBreakpoint(entryId)
+  }
+
+  /**
+   * Pause before the next entry that starts
+   */
+  const pause = () => {
+    executionDebugger.pause()
+  }
+
+  /**
+   * Run the paused entry (with the children of a container) and pause at the next entry
+   */
+  const stepOver = () => {
+    executionDebugger.stepOver()
+  }
+
+  /**
+   * Run the paused entry and pause at the next entry (the first child of a container)
+   */
+  const stepInto = () => {
+    executionDebugger.stepInto()
+  }
+
+  /**
+   * Continue until the next breakpoint
+   */
+  const resume = () => {
+    executionDebugger.resume()
+  }
+
+  // Return public API
+  return {
+    debugState,
+    isRunning,
+    isPaused,
+    isBreakpoint,
+    isPausedAt,
+    toggleBreakpoint,
+    pause,
+    stepOver,
+    stepInto,
+    resume
+  }
+}
@@ -0,0 +1,55 @@
+import { inject, computed } from 'vue'
+
+/**
+ * Provides undo/redo functionality as a composable function
+ * @returns {Object} History state and related methods
+ */
+export function useHistory() {
+  const historyService = inject('historyService')
+  const state = historyService.getState()
+
+  /**
+   * Undo the last step
+   */
+  const undo = () => {
+    historyService.undo()
+  }
+
+  /**
+   * Redo the last undone step
+   */
+  const redo = () => {
+    historyService.redo()
+  }
+
+  /**
+   * Handle the undo/redo keyboard shortcuts (Ctrl+Z, Ctrl+Shift+Z and Ctrl+Y)
+   * Shortcuts typed into form controls are left to the browser
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  const onHistoryKeyDown = (event) => {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return
+    const target = event.target
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return
+
+    const key = event.key.toLowerCase()
+    if (key === 'z' && !event.shiftKey) {
+      event.preventDefault()
+      undo()
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+      event.preventDefault()
+      redo()
+    }
+  }
+
+  // Return public state and methods
+  return {
+    canUndo: computed(() => state.value.canUndo),
+    canRedo: computed(() => state.value.canRedo),
+    undoLabel: computed(() => state.value.undoLabel),
+    redoLabel: computed(() => state.value.redoLabel),
+    undo,
+    redo,
+    onHistoryKeyDown
+  }
+}
@@ -0,0 +1,44 @@
+import { inject } from 'vue'
+
+// Export formats with their display label and MIME type
+export const LOG_EXPORT_FORMATS = {
+  json: { label: 'JSON', mimeType: 'application/json' },
+  csv: { label: 'CSV', mimeType: 'text/csv' },
+  junit: { label: 'JUnit XML', mimeType: 'application/xml' }
+}
+
+/**
+ * Provides export of the execution log as a composable function
+ * @returns {Object} Export method
+ */
+export function useLogExport() {
+  const fileService = inject('fileService')
+  const executionLogExporter = inject('executionLogExporter')
+
+  /**
+   * Save the execution log, or selected root executions, as a file
+   * @param {string} format - Export format ('json', 'csv' or 'junit')
+   * @param {Array<string>|null} rootExecutionIds - Execution IDs of the root executions to export, or null for all
+   */
+  const exportLogs = (format, rootExecutionIds = null) => {
+    const fileName = executionLogExporter.getFileName(format)
+    switch (format) {
+      case 'json':
+        fileService.saveJsonFile(fileName, executionLogExporter.toJson(rootExecutionIds))
+        break
+      case 'csv':
+        fileService.saveTextFile(fileName, executionLogExporter.toCsv(rootExecutionIds), LOG_EXPORT_FORMATS.csv.mimeType)
+        break
+      case 'junit':
+        fileService.saveTextFile(fileName, executionLogExporter.toJUnitXml(rootExecutionIds), LOG_EXPORT_FORMATS.junit.mimeType)
+        break
+      default:
+        throw new Error(`Unknown export format "${format}"`)
+    }
+  }
+
+  // Return public methods
+  return {
+    exportLogs
+  }
+}
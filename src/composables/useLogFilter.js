@@ -0,0 +1,251 @@
+import { ref, reactive, computed } from 'vue'
+import ExecutionStatus from '../services/script_execution/ExecutionStatus'
+import ExecutionResult from '../services/log/ExecutionResult'
+
+/**
+ * Check if a log entry groups child executions (container or loop iteration)
+ * @param {Object} execution - The execution log entry
+ * @returns {boolean} True if the entry has child executions
+ */
+export function isGroupExecution(execution) {
+  return execution?.entryType === 'container' || execution?.entryType === 'iteration'
+}
+
+/**
+ * Convert a parameter value to searchable text
+ * @param {any} value - Parameter value
+ * @returns {string} Text of the value
+ */
+const valueToText = (value) => {
+  if (value === null || value === undefined) return ''
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
+
+/**
+ * Build the text searched by the free-text search of an execution:
+ * input values, output values and error message
+ * @param {Object} execution - The execution log entry
+ * @returns {string} Lower case search text
+ */
+const searchableText = (execution) => {
+  const parts = Object.values(execution.inputParams || {}).map(valueToText)
+  Object.values(ExecutionResult.getOutputParams(execution.result))
+    .forEach(value => parts.push(valueToText(value)))
+  parts.push(valueToText(execution.result?.errorMessage))
+  return parts.join('\n').toLowerCase()
+}
+
+/**
+ * Provides filtering, collapsing and summary of the execution log tree
+ * @param {Object} logs - Reactive reference to the execution tree ({ rootExecutions, executionsByParent })
+ * @returns {Object} Filter state, visible rows, summary and related methods
+ */
+export function useLogFilter(logs) {
+  // Filter settings; an empty value does not filter
+  const filter = reactive({
+    statuses: Object.values(ExecutionStatus), // Statuses to show
+    entryName: '',
+    entryType: '',
+    searchText: ''
+  })
+  // Execution IDs of the collapsed container and iteration rows
+  const collapsedGroups = ref(new Set())
+
+  const isFiltering = computed(() => {
+    return filter.statuses.length < Object.values(ExecutionStatus).length ||
+      filter.entryName !== '' || filter.entryType !== '' || filter.searchText.trim() !== ''
+  })
+
+  /**
+   * Check whether an execution matches the filter settings itself
+   * @param {Object} execution - The execution log entry
+   * @returns {boolean} True if the execution matches
+   */
+  const matchesFilter = (execution) => {
+    if (!filter.statuses.includes(execution.status)) return false
+    if (filter.entryName && execution.entryName !== filter.entryName) return false
+    if (filter.entryType && execution.entryType !== filter.entryType) return false
+    const query = filter.searchText.trim().toLowerCase()
+    if (query && !searchableText(execution).includes(query)) return false
+    return true
+  }
+
+  /**
+   * Rows of the log table, newest root execution first
+   * A row is shown when it matches the filter or when one of its descendants does;
+   * such ancestors are marked as context rows. Children of collapsed groups are not listed.
+   * Each row: { key, data, depth, rootExecutionId, isGroup, childCount, collapsed, matches }
+   */
+  const rows = computed(() => {
+    const result = []
+    const tree = logs.value
+    const childrenOf = (execution) => tree.executionsByParent[execution.executionId] || []
+
+    // Build the rows of an execution and its descendants, or nothing when none of them matches
+    const buildRows = (execution, depth, rootExecutionId) => {
+      const matches = matchesFilter(execution)
+      const isGroup = isGroupExecution(execution)
+      const children = isGroup ? childrenOf(execution) : []
+      const childRows = children.flatMap(child => buildRows(child, depth + 1, rootExecutionId))
+      if (!matches && childRows.length === 0) return []
+      const collapsed = collapsedGroups.value.has(execution.executionId)
+      const row = {
+        key: `entry_${execution.executionId}`,
+        data: execution,
+        depth,
+        rootExecutionId,
+        isGroup,
+        childCount: children.length,
+        collapsed,
+        matches
+      }
+      return collapsed ? [row] : [row, ...childRows]
+    }
+
+    try {
+      for (let i = tree.rootExecutions.length - 1; i >= 0; i--) {
+        const root = tree.rootExecutions[i]
+        result.push(...buildRows(root, 0, root.executionId))
+      }
+    } catch (error) {
+      console.error(`useLogFilter rows failed: ${error.message}`)
+    }
+    return result
+  })
+
+  /**
+   * Counts by status and total runtime of the executions matching the filter
+   * Children of collapsed groups are counted too. The runtime of an execution nested
+   * in a matching execution is not added again, as it is part of its parent's runtime.
+   */
+  const summary = computed(() => {
+    const counts = {}
+    Object.values(ExecutionStatus).forEach(status => { counts[status] = 0 })
+    let total = 0
+    let totalTime = 0
+    const tree = logs.value
+
+    const visit = (execution, insideMatch) => {
+      const matches = matchesFilter(execution)
+      if (matches) {
+        total++
+        counts[execution.status] = (counts[execution.status] || 0) + 1
+        if (!insideMatch && typeof execution.execTime === 'number') {
+          totalTime += execution.execTime
+        }
+      }
+      if (isGroupExecution(execution)) {
+        const children = tree.executionsByParent[execution.executionId] || []
+        children.forEach(child => visit(child, insideMatch || matches))
+      }
+    }
+    tree.rootExecutions.forEach(execution => visit(execution, false))
+    return { total, counts, totalTime }
+  })
+
+  // Distinct entry names in the logs, for the name filter
+  const entryNames = computed(() => {
+    const names = new Set()
+    const tree = logs.value
+    tree.rootExecutions.forEach(execution => names.add(execution.entryName))
+    Object.values(tree.executionsByParent).forEach(children => {
+      children.forEach(execution => names.add(execution.entryName))
+    })
+    return Array.from(names).filter(name => name).sort((a, b) => a.localeCompare(b))
+  })
+
+  /**
+   * Collapse or expand a container or iteration row
+   * @param {string} executionId - Execution ID of the group
+   */
+  const toggleGroup = (executionId) => {
+    const groups = new Set(collapsedGroups.value)
+    if (groups.has(executionId)) {
+      groups.delete(executionId)
+    } else {
+      groups.add(executionId)
+    }
+    collapsedGroups.value = groups
+  }
+
+  /**
+   * Collapse all container and iteration rows
+   */
+  const collapseAll = () => {
+    const groups = new Set()
+    const tree = logs.value
+    const collect = (execution) => {
+      if (!isGroupExecution(execution)) return
+      groups.add(execution.executionId)
+      const children = tree.executionsByParent[execution.executionId] || []
+      children.forEach(collect)
+    }
+    tree.rootExecutions.forEach(collect)
+    collapsedGroups.value = groups
+  }
+
+  /**
+   * Expand all container and iteration rows
+   */
+  const expandAll = () => {
+    collapsedGroups.value = new Set()
+  }
+
+  /**
+   * Reset the filter settings so that all executions are shown
+   */
+  const resetFilter = () => {
+    filter.statuses = Object.values(ExecutionStatus)
+    filter.entryName = ''
+    filter.entryType = ''
+    filter.searchText = ''
+  }
+
+  /**
+   * Make the row of an execution visible
+   * Expands its collapsed ancestors and resets the filter when the execution does not match it
+   * @param {string} executionId - Execution ID
+   * @returns {boolean} True if the execution is in the log
+   */
+  const revealExecution = (executionId) => {
+    const tree = logs.value
+    // Path from a root to the execution, or null when it is not below the given execution
+    const findPath = (execution) => {
+      if (execution.executionId === executionId) return [execution]
+      const children = tree.executionsByParent[execution.executionId] || []
+      for (const child of children) {
+        const path = findPath(child)
+        if (path) return [execution, ...path]
+      }
+      return null
+    }
+
+    let path = null
+    for (const root of tree.rootExecutions) {
+      path = findPath(root)
+      if (path) break
+    }
+    if (!path) return false
+
+    if (!matchesFilter(path[path.length - 1])) {
+      resetFilter()
+    }
+    const groups = new Set(collapsedGroups.value)
+    path.slice(0, -1).forEach(ancestor => groups.delete(ancestor.executionId))
+    collapsedGroups.value = groups
+    return true
+  }
+
+  return {
+    filter,
+    isFiltering,
+    rows,
+    summary,
+    entryNames,
+    toggleGroup,
+    collapseAll,
+    expandAll,
+    resetFilter,
+    revealExecution
+  }
+}
@@ -0,0 +1,46 @@
+import { ref, readonly } from 'vue'
+
+// Maximum number of blocks listed as recently used
+const MAX_RECENT_BLOCKS = 8
+// Key of the list in localStorage, so that it is kept across sessions
+const STORAGE_KEY = 'recentBlockNames'
+
+const loadRecentBlockNames = () => {
+  try {
+    const names = JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+    return Array.isArray(names) ? names.slice(0, MAX_RECENT_BLOCKS) : []
+  } catch (error) {
+    console.warn(`Failed to load recently used blocks: ${error.message}`)
+    return []
+  }
+}
+
+// Module-level singleton state (most recent first)
+const recentBlockNames = ref(loadRecentBlockNames())
+
+/**
+ * Composable for the list of recently used blocks shown in the palette.
+ * Singleton pattern - state is shared across all components.
+ */
+function useRecentBlocks() {
+  const addRecentBlock = (blockName) => {
+    const names = recentBlockNames.value.filter(name => name !== blockName)
+    names.unshift(blockName)
+    recentBlockNames.value = names.slice(0, MAX_RECENT_BLOCKS)
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(recentBlockNames.value))
+    } catch (error) {
+      console.warn(`Failed to save recently used blocks: ${error.message}`)
+    }
+  }
+
+  const getRecentBlockNames = () => readonly(recentBlockNames)
+
+  return {
+    addRecentBlock,
+    getRecentBlockNames,
+  }
+}
+
+// Export singleton instance
+export const recentBlocks = useRecentBlocks()
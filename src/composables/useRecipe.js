@@ -0,0 +1,55 @@
+import { inject } from 'vue'
+import { useEntryOperation } from './useEntryOperation'
+import { entryState } from './useEntryState'
+
+/**
+ * Provides recipe save/open functionality as a composable function
+ * @param {string} rootId - ID of the root container holding the recipe entries
+ * @returns {Object} Recipe-related methods
+ */
+export function useRecipe(rootId) {
+  const config = inject('appConfig')
+  const fileService = inject('fileService')
+  const recipeService = inject('recipeService')
+  const entryExecutionService = inject('entryExecutionService')
+  const { clearChildren, restoreEntry, connectParams, setVariables, runTransaction } = useEntryOperation()
+
+  /**
+   * Save the entries under the root container as a recipe file
+   */
+  const saveRecipe = () => {
+    const doc = recipeService.serialize(rootId)
+    fileService.saveJsonFile(config.recipe.defaultFileName, doc)
+  }
+
+  /**
+   * Replace the entries under the root container with the contents of a recipe file
+   * @param {File} file - Recipe file selected by the user
+   */
+  const openRecipe = async (file) => {
+    const data = await fileService.readLocalJsonFile(file)
+    const doc = recipeService.parse(data)
+    entryState.cancelConnection()
+    entryState.clearSelection()
+    // Breakpoints belong to the entries of the previous recipe
+    entryExecutionService.getDebugger().clearBreakpoints()
+    // Opening a recipe is undone as a single step
+    runTransaction(`Open ${file.name}`, () => {
+      clearChildren(rootId)
+      setVariables(rootId, doc.variables)
+      doc.root.children.forEach((node, index) => restoreEntry(rootId, node, index))
+      doc.connections.forEach(connection => connectParams(
+        connection.sourceEntryId,
+        connection.sourceParamName,
+        connection.targetEntryId,
+        connection.targetParamName
+      ))
+    })
+  }
+
+  // Return public methods
+  return {
+    saveRecipe,
+    openRecipe
+  }
+}
@@ -4,14 +4,53 @@
 export default {
   // Block definition settigs
   block: {
-    definitionsFile: '/settings/BlockDefinitions.json'
+    definitionsFile: '/settings/BlockDefinitions.json',
+    // Check that the script of each block exists when the definitions are loaded
+    checkScripts: true
   },
   // Script execution settings
   script: {
     // Default language used throughout the application
     engineName: 'javascript',
-    // Directory path for script files (relative to public directory root)
-    scriptsDir: '/public/scripts'
+    // Directories of script files, searched in order
+    // These are URL paths: files of the public directory are served from the site root
+    // Scripts can be placed in subfolders and referenced as "folder/name" in the "command" field
+    scriptsDirs: ['/scripts'],
+    // URL of the Pyodide files used by the python engine (copied from node_modules/pyodide at build time)
+    // Blocks select their engine with the "engine" field in BlockDefinitions.json
+    pyodideIndexUrl: '/pyodide/',
+    // Default timeout of a block execution in milliseconds (0 for no timeout)
+    // Can be overridden per block with the "timeout" field in BlockDefinitions.json
+    timeout: 30000,
+    // Maximum number of Workers of each engine, used by containers running their children in parallel
+    // Additional Workers are only started while several scripts are waiting to be executed
+    workerPoolSize: 4
+  },
+  // Recipe file settings
+  recipe: {
+    // File name suggested when saving a recipe
+    defaultFileName: 'recipe.json'
+  },
+  // Undo/redo history settings
+  history: {
+    // Maximum number of undoable steps
+    maxSize: 100
+  },
+  // Execution log settings
+  log: {
+    // Maximum number of execution logs kept in memory; the oldest runs are removed first
+    maxLogs: 1000,
+    // Storage of the runs in IndexedDB, so that they are kept across reloads
+    persistence: {
+      enabled: false,
+      databaseName: 'execution-logs',
+      // Stored runs older than this are deleted (0 to keep runs of any age)
+      maxAgeDays: 30,
+      // Maximum number of stored runs; the oldest are deleted first (0 for no limit)
+      maxRuns: 500,
+      // Number of older runs loaded at once when scrolling the log
+      pageSize: 20
+    }
   }
   // Additional configuration categories can be added in the future
 }
@@ -3,10 +3,15 @@ import App from './App.vue'
 import appConfig from './config/app-config'
 import EntryManager from './classes/EntryManager'
 import EntryParamManager from './classes/EntryParamManager'
+import EntryConnectionManager from './classes/EntryConnectionManager'
 import FileService from './services/file/FileService'
 import EntryExecutionService from './services/entry_execution/EntryExecutionService'
 import ExecutionLogService from './services/log/ExecutionLogService'
+import ExecutionLogExporter from './services/log/ExecutionLogExporter'
+import ExecutionRunComparer from './services/log/ExecutionRunComparer'
 import EntryDefinitionService from './services/entry_definition/EntryDefinitionService'
+import RecipeService from './services/recipe/RecipeService'
+import HistoryService from './services/history/HistoryService'
 import './assets/styles/variables.css'
 
 const app = createApp(App)
@@ -14,19 +19,30 @@ const app = createApp(App)
 // Create Managers
 const entryManager = new EntryManager()
 const entryParamManager = new EntryParamManager()
+const entryConnectionManager = new EntryConnectionManager()
 
 // Create Services
 const fileService = new FileService()
-const executionLogService = new ExecutionLogService()
-const entryExecutionService = new EntryExecutionService(appConfig, entryParamManager, executionLogService)
+const executionLogService = new ExecutionLogService(appConfig)
+const executionLogExporter = new ExecutionLogExporter(executionLogService)
+const executionRunComparer = new ExecutionRunComparer(executionLogService)
 const entryDefinitionService = new EntryDefinitionService(appConfig, fileService)
+const entryExecutionService = new EntryExecutionService(appConfig, entryParamManager, executionLogService, entryConnectionManager, entryDefinitionService, entryManager)
+const recipeService = new RecipeService(entryManager, entryParamManager, entryConnectionManager)
+const historyService = new HistoryService(appConfig)
 
 // Provide
+app.provide('appConfig', appConfig)
 app.provide('entryManager', entryManager)
 app.provide('entryParamManager', entryParamManager)
+app.provide('entryConnectionManager', entryConnectionManager)
 app.provide('fileService', fileService)
 app.provide('executionLogService', executionLogService)
+app.provide('executionLogExporter', executionLogExporter)
+app.provide('executionRunComparer', executionRunComparer)
 app.provide('entryExecutionService', entryExecutionService)
 app.provide('entryDefinitionService', entryDefinitionService)
+app.provide('recipeService', recipeService)
+app.provide('historyService', historyService)
 
 app.mount('#app')
@@ -1,3 +1,8 @@
+import { ref, readonly } from 'vue';
+import EntryDefinitionValidator from './EntryDefinitionValidator';
+import ScriptLocator from '../script_execution/ScriptLocator';
+import ScriptExecutionFactory from '../script_execution/ScriptExecutionFactory';
+
 /**
  * EntryDefinitionService
  * Provides block definitions and category information loaded from JSON file
@@ -13,6 +18,16 @@ export default class EntryDefinitionService {
     this.fileService = fileService;
     this.blockCategories = [];
     this.blockDefinitions = {};
+    this.containerDefinitions = {};
+    this.validator = new EntryDefinitionValidator();
+    // Script locators by engine name (scripts of each engine have their own extension)
+    this.scriptLocators = {};
+    // Result of the last validation of the definitions file, for display in the UI
+    this._validationReport = ref({
+      loaded: false,
+      issues: [],
+      quarantined: []
+    });
   }
 
   /**
@@ -31,22 +46,152 @@ export default class EntryDefinitionService {
       case 'boolean':
         if (typeof value === 'boolean') return value;
         return value === 'true' || value === true;
+      case 'string':
+        return String(value);
       default:
         return value;
     }
   }
 
+  /**
+   * Parse parameter definitions of a block or container
+   * @param {Array} parameters - Parameter definitions from JSON
+   * @returns {Object} Object containing input and output parameter definitions
+   */
+  _parseParameters(parameters) {
+    const parsed = {
+      input: [],
+      output: []
+    };
+    if (parameters && Array.isArray(parameters)) {
+      parameters.forEach(param => {
+        const paramDef = {
+          name: param.name,
+          dataType: param.dataType,
+          ctrlType: param.ctrlType,
+          default: param.default,
+          min: param.min,
+          max: param.max,
+          step: param.step,
+          items: param.items || [],
+          pattern: param.pattern,
+          accept: param.accept || []
+        };
+        if (param.prmType === 'input') {
+          parsed.input.push(paramDef);
+        } else if (param.prmType === 'output') {
+          parsed.output.push(paramDef);
+        }
+      });
+    }
+    return parsed;
+  }
+
+  /**
+   * Build default parameter values from a block or container definition
+   * @param {Object} definition - Block or container definition
+   * @returns {Object} Object containing default input and output parameter values
+   */
+  _buildDefaultParams(definition) {
+    const input = {};
+    const output = {};
+    if (!definition) return { input, output };
+
+    definition.parameters.input.forEach(param => {
+      input[param.name] = param.default !== undefined ? this._castParamValue(param.default, param.dataType) : null;
+    });
+
+    definition.parameters.output.forEach(param => {
+      output[param.name] = param.default !== undefined ? this._castParamValue(param.default, param.dataType) : null;
+    });
+
+    return { input, output };
+  }
+
+  /**
+   * Get the identifier of the script executed by a block
+   * The "command" field of the definition is used, so that several blocks can share a script
+   * @param {string} blockName - Block name
+   * @return {string} Script identifier (the block name when the block has no command)
+   */
+  getScriptName(blockName) {
+    const blockDef = this.blockDefinitions[blockName];
+    return (blockDef && blockDef.command) || blockName;
+  }
+
+  /**
+   * Get the name of the engine executing the script of a block
+   * @param {string} blockName - Block name
+   * @return {string} Engine name (the default engine when the block has no engine)
+   */
+  getEngineName(blockName) {
+    const blockDef = this.blockDefinitions[blockName];
+    return (blockDef && blockDef.engine) || this.config.script?.engineName || 'javascript';
+  }
+
+  /**
+   * Get the script locator of an engine
+   * @param {string} engineName - Engine name
+   * @return {ScriptLocator} Script locator searching the script directories for files of the engine
+   * @private
+   */
+  _getScriptLocator(engineName) {
+    if (!this.scriptLocators[engineName]) {
+      this.scriptLocators[engineName] = new ScriptLocator(
+        ScriptLocator.getScriptsDirs(this.config.script),
+        ScriptExecutionFactory.getScriptExtension(engineName)
+      );
+    }
+    return this.scriptLocators[engineName];
+  }
+
+  /**
+   * Check that the script of each block exists and quarantine the blocks without one
+   * @param {Array<Object>} issues - Issues of the validation report to add to
+   * @param {Array<Object>} quarantined - Quarantined blocks of the validation report to add to
+   * @private
+   */
+  async _checkScripts(issues, quarantined) {
+    const blockDefs = Object.values(this.blockDefinitions);
+    // Scripts added since the last load must be found again
+    Object.values(this.scriptLocators).forEach(locator => locator.clearCache());
+    const locators = blockDefs.map(blockDef => this._getScriptLocator(this.getEngineName(blockDef.name)));
+    const results = await Promise.all(blockDefs.map((blockDef, index) => locators[index].locate(this.getScriptName(blockDef.name))));
+    blockDefs.forEach((blockDef, index) => {
+      if (results[index]) return;
+      const scriptFile = `${this.getScriptName(blockDef.name)}${locators[index].extension}`;
+      issues.push({
+        severity: 'error',
+        path: `${blockDef.category} / ${blockDef.name}`,
+        message: `Script "${scriptFile}" not found in ${locators[index].scriptsDirs.join(', ') || '(no script directory)'}`
+      });
+      quarantined.push({ name: blockDef.name, category: blockDef.category });
+      delete this.blockDefinitions[blockDef.name];
+      const category = this.blockCategories.find(cat => cat.name === blockDef.category);
+      if (category) {
+        category.blocks = category.blocks.filter(name => name !== blockDef.name);
+      }
+    });
+  }
+
   /**
    * Load block definitions from JSON file
+   * The definitions are validated first; blocks and containers with errors are quarantined
+   * (left out of the definitions) and every problem is recorded in the validation report
    * @return {Promise<Object>} Promise resolving to block definitions and category information
    */
   async loadBlockDefinitions() {
     // Initialize
     this.blockCategories = [];
     this.blockDefinitions = {};
+    this.containerDefinitions = {};
+    const issues = [];
+    const quarantined = [];
     try {
       // Read JSON file
       const data = await this.fileService.readJsonFile(this.config.block.definitionsFile);
+      const validation = this.validator.validate(data);
+      issues.push(...validation.issues);
       // Process block categories and block definitions from JSON data
       if (Array.isArray(data && data.categories)) {
         data.categories.forEach(category => {
@@ -56,36 +201,20 @@ export default class EntryDefinitionService {
           };
           if (category.blocks && Array.isArray(category.blocks)) {
             category.blocks.forEach(block => {
+              if (validation.invalidBlocks.has(block)) {
+                quarantined.push({ name: block.name, category: category.name });
+                return;
+              }
               const blockName = block.name;
               categoryInfo.blocks.push(blockName);
               const blockDef = {
                 name: blockName,
                 category: category.name,
                 command: block.command || '',
-                parameters: {
-                  input: [],
-                  output: []
-                }
+                engine: block.engine,
+                timeout: block.timeout,
+                parameters: this._parseParameters(block.parameters)
               };
-              if (block.parameters && Array.isArray(block.parameters)) {
-                block.parameters.forEach(param => {
-                  const paramDef = {
-                    name: param.name,
-                    dataType: param.dataType,
-                    ctrlType: param.ctrlType,
-                    default: param.default,
-                    min: param.min,
-                    max: param.max,
-                    step: param.step,
-                    items: param.items || []
-                  };
-                  if (param.prmType === 'input') {
-                    blockDef.parameters.input.push(paramDef);
-                  } else if (param.prmType === 'output') {
-                    blockDef.parameters.output.push(paramDef);
-                  }
-                });
-              }
               // Add block definition
               this.blockDefinitions[blockName] = blockDef;
             });
@@ -94,21 +223,51 @@ export default class EntryDefinitionService {
           this.blockCategories.push(categoryInfo);
         });
       }
+      // Process control-flow container definitions from JSON data
+      if (Array.isArray(data && data.containers)) {
+        data.containers.forEach(container => {
+          if (validation.invalidContainers.has(container)) {
+            quarantined.push({ name: container && container.name, category: 'containers' });
+            return;
+          }
+          this.containerDefinitions[container.name] = {
+            name: container.name,
+            kind: container.kind,
+            parameters: this._parseParameters(container.parameters)
+          };
+        });
+      }
+      if (this.config.block.checkScripts !== false) {
+        await this._checkScripts(issues, quarantined);
+      }
       return {
         blockDefinitions: this.blockDefinitions,
-        blockCategories: this.blockCategories
+        blockCategories: this.blockCategories,
+        containerDefinitions: this.containerDefinitions
       };
     } catch (error) {
       console.error(`[${this.constructor.name}] loadBlockDefinitions() failed: ${error.message}`);
+      issues.push({ severity: 'error', path: this.config.block.definitionsFile, message: error.message });
+    } finally {
+      this._validationReport.value = { loaded: true, issues, quarantined };
+      issues.forEach(issue => console.warn(`[${this.constructor.name}] ${issue.severity}: ${issue.path}: ${issue.message}`));
     }
   }
 
+  /**
+   * Get the result of the last validation of the definitions file
+   * @return {Object} Readonly reactive reference to { loaded, issues, quarantined }
+   */
+  getValidationReport() {
+    return readonly(this._validationReport);
+  }
+
   /**
    * Get all categories
    * @return {Array} Array of categories
    */
   getCategories() {
-    return this.categories;
+    return this.blockCategories;
   }
 
   /**
@@ -117,30 +276,59 @@ export default class EntryDefinitionService {
    * @return {Array} Array of block names
    */
   getBlocksByCategory(categoryName) {
-    const category = this.categories.find(cat => cat.name === categoryName);
+    const category = this.blockCategories.find(cat => cat.name === categoryName);
     return category ? category.blocks : [];
   }
 
+  /**
+   * Get the definition of a block or control-flow container
+   * @param {string} entryName - Block or container name
+   * @return {Object|null} Block or container definition or null
+   */
+  getDefinition(entryName) {
+    return this.blockDefinitions[entryName] || this.containerDefinitions[entryName] || null;
+  }
+
+  /**
+   * Get the definition of a block or container parameter
+   * @param {string} entryName - Block or container name
+   * @param {string} prmType - Parameter type ('input' or 'output')
+   * @param {string} paramName - Parameter name
+   * @return {Object|null} Parameter definition or null
+   */
+  getParamDefinition(entryName, prmType, paramName) {
+    const definition = this.getDefinition(entryName);
+    if (!definition || !definition.parameters[prmType]) return null;
+    return definition.parameters[prmType].find(param => param.name === paramName) || null;
+  }
+
+  /**
+   * Check if an output parameter of a data type can feed an input parameter of another data type
+   * Identical data types are compatible, and integer outputs may feed real inputs
+   * @param {string} outputDataType - Data type of the output parameter
+   * @param {string} inputDataType - Data type of the input parameter
+   * @return {boolean} Whether the data types are compatible
+   */
+  areDataTypesCompatible(outputDataType, inputDataType) {
+    if (outputDataType === inputDataType) return true;
+    return outputDataType === 'integer' && inputDataType === 'real';
+  }
+
   /**
    * Get default parameters for a block
    * @param {string} blockName - Block name
    * @return {Object} Object containing default input and output parameter values
    */
   getBlockDefaultParams(blockName) {
-    const blockDef = this.blockDefinitions[blockName];
-    if (!blockDef) return { input: {}, output: {} };
-    
-    const input = {};
-    const output = {};
-    
-    blockDef.parameters.input.forEach(param => {
-      input[param.name] = param.default !== undefined ? this._castParamValue(param.default, param.dataType) : null;
-    });
+    return this._buildDefaultParams(this.blockDefinitions[blockName]);
+  }
 
-    blockDef.parameters.output.forEach(param => {
-      output[param.name] = param.default !== undefined ? this._castParamValue(param.default, param.dataType) : null;
-    });
-    
-    return { input, output };
+  /**
+   * Get default parameters for a control-flow container
+   * @param {string} containerName - Container name
+   * @return {Object} Object containing default input and output parameter values
+   */
+  getContainerDefaultParams(containerName) {
+    return this._buildDefaultParams(this.containerDefinitions[containerName]);
   }
 }
@@ -0,0 +1,288 @@
+/**
+ * EntryDefinitionValidator
+ * Checks the content of BlockDefinitions.json and reports every problem with its location
+ *
+ * An issue is an object with the following properties:
+ * - severity {string} 'error' (the block or container cannot be used) or 'warning'
+ * - path {string} Location of the problem (e.g. "arithmetic / Add / input NumberA")
+ * - message {string} Description of the problem
+ */
+import ScriptLocator from '../script_execution/ScriptLocator';
+import ScriptExecutionFactory from '../script_execution/ScriptExecutionFactory';
+
+// Data types understood by the parameter controls and the type compatibility check
+const DATA_TYPES = ['integer', 'real', 'boolean', 'string'];
+
+// Controls available in EntryView, and the data types they can edit
+const CTRL_TYPES = {
+  integer_spinner: ['integer'],
+  real_spinner: ['real', 'integer'],
+  checkbox: ['boolean'],
+  combo: ['integer', 'real', 'string'],
+  text: ['string'],
+  textarea: ['string'],
+  color: ['string'],
+  file_path: ['string']
+};
+
+// Input parameters read by the executor for each control-flow container kind
+const CONTAINER_KINDS = {
+  repeat: ['Count'],
+  while: ['Condition', 'MaxIterations'],
+  if: ['Condition']
+};
+
+export default class EntryDefinitionValidator {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this._issues = [];
+  }
+
+  /**
+   * Record an issue
+   * @param {string} severity - 'error' or 'warning'
+   * @param {Array<string>} path - Location of the problem
+   * @param {string} message - Description of the problem
+   * @private
+   */
+  _report(severity, path, message) {
+    this._issues.push({ severity, path: path.join(' / '), message });
+  }
+
+  /**
+   * Get a readable label of an item of a definition array
+   * @param {Object} item - Item with a name property
+   * @param {number} index - Index of the item
+   * @returns {string} Name of the item, or its position when it has no name
+   * @private
+   */
+  _label(item, index) {
+    return item && typeof item.name === 'string' && item.name ? item.name : `#${index + 1}`;
+  }
+
+  /**
+   * Check whether a value is a valid value of a data type
+   * @param {any} value - Value from JSON
+   * @param {string} dataType - Data type of the parameter
+   * @returns {boolean} True if the value can be used for the data type
+   * @private
+   */
+  _isValueOfType(value, dataType) {
+    switch (dataType) {
+      case 'integer':
+        return value !== '' && Number.isInteger(Number(value));
+      case 'real':
+        return value !== '' && Number.isFinite(Number(value));
+      case 'boolean':
+        return typeof value === 'boolean' || value === 'true' || value === 'false';
+      case 'string':
+        return typeof value === 'string';
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Validate the parameters of a block or container
+   * @param {Array} parameters - Parameter definitions from JSON
+   * @param {Array<string>} path - Location of the block or container
+   * @returns {boolean} True if no error was found
+   * @private
+   */
+  _validateParameters(parameters, path) {
+    if (parameters === undefined) return true;
+    if (!Array.isArray(parameters)) {
+      this._report('error', path, '"parameters" must be an array');
+      return false;
+    }
+    let valid = true;
+    const error = (paramPath, message) => {
+      this._report('error', paramPath, message);
+      valid = false;
+    };
+    const names = { input: new Set(), output: new Set() };
+    parameters.forEach((param, index) => {
+      const label = this._label(param, index);
+      if (!param || typeof param !== 'object') {
+        error([...path, label], 'Parameter must be an object');
+        return;
+      }
+      const paramPath = [...path, `${param.prmType || 'parameter'} ${label}`];
+      if (param.prmType !== 'input' && param.prmType !== 'output') {
+        error(paramPath, `"prmType" must be "input" or "output" (found ${JSON.stringify(param.prmType)})`);
+      }
+      if (typeof param.name !== 'string' || !param.name) {
+        error(paramPath, '"name" is required');
+      } else if (names[param.prmType]) {
+        if (names[param.prmType].has(param.name)) {
+          error(paramPath, `Duplicate ${param.prmType} parameter name "${param.name}"`);
+        }
+        names[param.prmType].add(param.name);
+      }
+      if (!DATA_TYPES.includes(param.dataType)) {
+        error(paramPath, `"dataType" must be one of ${DATA_TYPES.join(', ')} (found ${JSON.stringify(param.dataType)})`);
+      }
+      if (param.ctrlType !== undefined) {
+        if (!CTRL_TYPES[param.ctrlType]) {
+          this._report('warning', paramPath, `Unknown "ctrlType" ${JSON.stringify(param.ctrlType)}, the value is shown read-only`);
+        } else if (DATA_TYPES.includes(param.dataType) && !CTRL_TYPES[param.ctrlType].includes(param.dataType)) {
+          this._report('warning', paramPath, `"ctrlType" ${param.ctrlType} is not meant for dataType ${param.dataType}`);
+        }
+      }
+      // Range settings
+      for (const key of ['min', 'max', 'step']) {
+        if (param[key] !== undefined && !Number.isFinite(param[key])) {
+          error(paramPath, `"${key}" must be a number`);
+        }
+      }
+      if (Number.isFinite(param.min) && Number.isFinite(param.max) && param.min > param.max) {
+        error(paramPath, `"min" (${param.min}) is greater than "max" (${param.max})`);
+      }
+      if (Number.isFinite(param.step) && param.step <= 0) {
+        error(paramPath, `"step" must be greater than 0`);
+      }
+      // Choices of combo boxes
+      if (param.items !== undefined && !Array.isArray(param.items)) {
+        error(paramPath, '"items" must be an array');
+      }
+      if (param.ctrlType === 'combo' && param.prmType === 'input' && (!Array.isArray(param.items) || param.items.length === 0)) {
+        error(paramPath, 'A combo box needs a non-empty "items" array');
+      }
+      // Default value
+      if (param.default !== undefined && DATA_TYPES.includes(param.dataType)) {
+        const value = param.default;
+        if (!this._isValueOfType(value, param.dataType)) {
+          error(paramPath, `"default" ${JSON.stringify(value)} is not a valid ${param.dataType} value`);
+        } else if (param.dataType === 'integer' || param.dataType === 'real') {
+          if (Number.isFinite(param.min) && Number(value) < param.min) {
+            error(paramPath, `"default" ${value} is less than "min" ${param.min}`);
+          }
+          if (Number.isFinite(param.max) && Number(value) > param.max) {
+            error(paramPath, `"default" ${value} is greater than "max" ${param.max}`);
+          }
+        }
+        if (param.ctrlType === 'combo' && Array.isArray(param.items) && param.items.length > 0) {
+          const values = param.items.map(item => (item !== null && typeof item === 'object') ? item.value : item);
+          if (!values.includes(value)) {
+            error(paramPath, `"default" ${JSON.stringify(value)} is not one of the "items"`);
+          }
+        }
+      }
+    });
+    return valid;
+  }
+
+  /**
+   * Validate the definitions file
+   * @param {Object} data - Content of BlockDefinitions.json
+   * @returns {Object} Validation result:
+   *   - issues {Array<Object>} All issues found
+   *   - invalidBlocks {Set<Object>} Block objects of data that have errors
+   *   - invalidContainers {Set<Object>} Container objects of data that have errors
+   */
+  validate(data) {
+    this._issues = [];
+    const invalidBlocks = new Set();
+    const invalidContainers = new Set();
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      this._report('error', ['(root)'], 'The definitions file must contain a JSON object');
+      return { issues: this._issues, invalidBlocks, invalidContainers };
+    }
+    if (!Array.isArray(data.categories)) {
+      this._report('error', ['categories'], '"categories" must be an array');
+    }
+
+    // Control-flow containers (checked first so that block names can be compared with them)
+    const containerNames = new Set();
+    if (data.containers !== undefined && !Array.isArray(data.containers)) {
+      this._report('error', ['containers'], '"containers" must be an array');
+    } else {
+      (data.containers || []).forEach((container, index) => {
+        const path = ['containers', this._label(container, index)];
+        let valid = true;
+        if (!container || typeof container.name !== 'string' || !container.name) {
+          this._report('error', path, '"name" is required');
+          valid = false;
+        } else if (containerNames.has(container.name) || container.name === 'Container') {
+          this._report('error', path, `Duplicate container name "${container.name}"`);
+          valid = false;
+        }
+        if (!container || !CONTAINER_KINDS[container.kind]) {
+          this._report('error', path, `"kind" must be one of ${Object.keys(CONTAINER_KINDS).join(', ')} (found ${JSON.stringify(container && container.kind)})`);
+          valid = false;
+        }
+        if (container && !this._validateParameters(container.parameters, path)) {
+          valid = false;
+        }
+        if (valid) {
+          const inputNames = (container.parameters || []).filter(param => param.prmType === 'input').map(param => param.name);
+          for (const required of CONTAINER_KINDS[container.kind]) {
+            if (!inputNames.includes(required)) {
+              this._report('error', path, `A ${container.kind} container needs an input parameter "${required}"`);
+              valid = false;
+            }
+          }
+        }
+        if (valid) {
+          containerNames.add(container.name);
+        } else if (container && typeof container === 'object') {
+          invalidContainers.add(container);
+        }
+      });
+    }
+
+    // Blocks of each category
+    const blockLocations = new Map();
+    (Array.isArray(data.categories) ? data.categories : []).forEach((category, categoryIndex) => {
+      const categoryLabel = this._label(category, categoryIndex);
+      if (!category || typeof category.name !== 'string' || !category.name) {
+        this._report('error', [categoryLabel], 'Category "name" is required');
+      }
+      if (!category || !Array.isArray(category.blocks)) {
+        this._report('error', [categoryLabel], '"blocks" must be an array');
+        return;
+      }
+      category.blocks.forEach((block, blockIndex) => {
+        const path = [categoryLabel, this._label(block, blockIndex)];
+        let valid = true;
+        if (!block || typeof block !== 'object') {
+          this._report('error', path, 'Block must be an object');
+          return;
+        }
+        if (typeof block.name !== 'string' || !block.name) {
+          this._report('error', path, '"name" is required');
+          valid = false;
+        } else if (blockLocations.has(block.name)) {
+          this._report('error', path, `Duplicate block name "${block.name}" (already defined in ${blockLocations.get(block.name)})`);
+          valid = false;
+        } else if (containerNames.has(block.name) || block.name === 'Container') {
+          this._report('error', path, `Block name "${block.name}" is already used by a container`);
+          valid = false;
+        } else {
+          blockLocations.set(block.name, categoryLabel);
+        }
+        if (block.command !== undefined && !ScriptLocator.isValidScriptName(block.command)) {
+          this._report('error', path, `"command" ${JSON.stringify(block.command)} must be a script path such as "Add" or "text/Join"`);
+          valid = false;
+        }
+        if (block.engine !== undefined && !ScriptExecutionFactory.getEngineNames().includes(block.engine)) {
+          this._report('error', path, `"engine" must be one of ${ScriptExecutionFactory.getEngineNames().join(', ')} (found ${JSON.stringify(block.engine)})`);
+          valid = false;
+        }
+        if (block.timeout !== undefined && !(Number.isFinite(block.timeout) && block.timeout >= 0)) {
+          this._report('error', path, '"timeout" must be a number of milliseconds (0 or more)');
+          valid = false;
+        }
+        if (!this._validateParameters(block.parameters, path)) {
+          valid = false;
+        }
+        if (!valid) {
+          invalidBlocks.add(block);
+        }
+      });
+    });
+    return { issues: this._issues, invalidBlocks, invalidContainers };
+  }
+}
@@ -1,4 +1,8 @@
 import ScriptExecutionService from '../script_execution/ScriptExecutionService';
+import ExecutionStatus from '../script_execution/ExecutionStatus';
+import ExecutionDebugger from './ExecutionDebugger';
+import EntryRunStateStore from './EntryRunStateStore';
+import ExpressionEvaluator from '../expression/ExpressionEvaluator';
 
 /**
  * Entry Execution Service
@@ -10,16 +14,30 @@ export default class EntryExecutionService {
    * @param {Object} config Configuration object
    * @param {EntryParamManager} entryParamManager Entry parameter manager instance (optional)
    * @param {ExecutionLogService} executionLogService Execution log service instance (optional)
+   * @param {EntryConnectionManager} entryConnectionManager Entry connection manager instance (optional)
+   * @param {EntryDefinitionService} entryDefinitionService Entry definition service instance (optional)
+   * @param {EntryManager} entryManager Entry manager instance, to find the variables bound to inputs (optional)
    */
-  constructor(config, entryParamManager = null, executionLogService = null) {
+  constructor(config, entryParamManager = null, executionLogService = null, entryConnectionManager = null,
+    entryDefinitionService = null, entryManager = null) {
     this.scriptExecutionService = new ScriptExecutionService(config.script);
     this.entryParamManager = entryParamManager;
     this.executionLogService = executionLogService;
-    this._executionStack = []; // Stack to track currently executing entries
+    this.entryConnectionManager = entryConnectionManager;
+    this.entryDefinitionService = entryDefinitionService;
+    this.entryManager = entryManager;
+    this._defaultTimeout = config.script?.timeout || 0; // Default block timeout in milliseconds
+    this._runningExecutions = new Map(); // Currently executing entries (execution ID -> entry ID), several at once in parallel containers
+    this._cancelRequested = false; // Whether the running execution has been cancelled
+    this.executionDebugger = new ExecutionDebugger(); // Breakpoints and stepping
+    this.runStateStore = new EntryRunStateStore(); // Run state of each entry, shown in the editor
+    this.expressionEvaluator = new ExpressionEvaluator(entryManager, entryParamManager); // Expressions of input params
     
     // Centralized management of execution IDs
     this._sessionId = `session_${Date.now()}`;
     this._executionSequence = 0;
+    // Sequence of the ad-hoc groups, giving each group its own entry ID
+    this._groupSequence = 0;
   }
 
   /**
@@ -33,19 +51,110 @@ export default class EntryExecutionService {
     return `${this._sessionId}_${this._executionSequence}_${entryId}`;
   }
 
+  /**
+   * Resolve the input parameters of an entry at execution time
+   * Input parameters bound to a variable take its current value, found in the scopes of the enclosing containers.
+   * Input parameters given an expression take its result, converted to the data type of the parameter.
+   * Connected input parameters take the current output value of the upstream entry
+   * @param {string} entryId The ID of the entry being executed
+   * @param {Array<string>} errors Array receiving the errors of missing variables and expressions (optional); without it they are only warned
+   * @returns {Object} Resolved input parameters (a missing variable or failed expression leaves the literal value)
+   * @private
+   */
+  _resolveInputParams(entryId, errors = null) {
+    if (!this.entryParamManager) {
+      return {};
+    }
+    const inputParams = { ...this.entryParamManager.getInputParams(entryId) };
+    if (this.entryManager) {
+      for (const [paramName, variableName] of Object.entries(this.entryParamManager.getInputBindings(entryId))) {
+        const variable = this.entryManager.findVariable(entryId, variableName);
+        if (variable) {
+          inputParams[paramName] = variable.value;
+          continue;
+        }
+        const message = `${paramName}: Variable "${variableName}" is not declared in any enclosing container`;
+        if (errors) {
+          errors.push(message);
+        } else {
+          console.warn(message);
+        }
+      }
+    }
+    for (const [paramName, expression] of Object.entries(this.entryParamManager.getInputExpressions(entryId))) {
+      try {
+        inputParams[paramName] = this.expressionEvaluator.evaluateForEntry(entryId, expression, this._getInputDataType(entryId, paramName));
+      } catch (error) {
+        const message = `${paramName}: ${error.message}`;
+        if (errors) {
+          errors.push(message);
+        } else {
+          console.warn(message);
+        }
+      }
+    }
+    if (this.entryConnectionManager) {
+      for (const connection of this.entryConnectionManager.getInputConnections(entryId)) {
+        inputParams[connection.targetParamName] =
+          this.entryParamManager.getOutputParam(connection.sourceEntryId, connection.sourceParamName);
+      }
+    }
+    return inputParams;
+  }
+
+  /**
+   * Get the data type of an input parameter from the entry definition
+   * @param {string} entryId The ID of the entry
+   * @param {string} paramName Name of the input parameter
+   * @returns {string|null} Data type, or null if the entry or parameter has no definition
+   * @private
+   */
+  _getInputDataType(entryId, paramName) {
+    const entry = this.entryManager?.getEntry(entryId);
+    if (!entry || !this.entryDefinitionService) return null;
+    return this.entryDefinitionService.getParamDefinition(entry.name, 'input', paramName)?.dataType || null;
+  }
+
+  /**
+   * Get the timeout of a block execution
+   * The "timeout" field of the block definition takes precedence over the global setting
+   * @param {Block} block Block to execute
+   * @returns {number} Timeout in milliseconds (0 for no timeout)
+   * @private
+   */
+  _getBlockTimeout(block) {
+    const blockDef = this.entryDefinitionService?.blockDefinitions[block.name];
+    if (blockDef && blockDef.timeout !== undefined) {
+      return Number(blockDef.timeout) || 0;
+    }
+    return this._defaultTimeout;
+  }
+
   /**
    * Execute a block entry
    * @param {Block} block Block to execute
    * @param {Object} inputParams Input parameters for the block (optional)
+   * @param {string} executionId Execution ID of the block (optional)
    * @return {Promise<ScriptExecutionResult>}
    *         Execution result object conforming to ScriptExecutionResult type
    * @private
    */
-  async _executeBlock(block, inputParams = {}) {
+  async _executeBlock(block, inputParams = {}, executionId = null) {
     let result = {};
     try {
-      // Execute script based on block name
-      result = await this.scriptExecutionService.executeScript(block.name, inputParams);
+      // Execute the script given by the command of the block definition, with the engine of the block
+      const scriptName = this.entryDefinitionService ? this.entryDefinitionService.getScriptName(block.name) : block.name;
+      result = await this.scriptExecutionService.executeScript(scriptName, inputParams, {
+        timeout: this._getBlockTimeout(block),
+        engine: this.entryDefinitionService ? this.entryDefinitionService.getEngineName(block.name) : undefined,
+        // The log measures the script itself, not the time spent waiting for a free Worker
+        onStart: () => {
+          this.runStateStore.markRunning(block.id, executionId);
+          if (this.executionLogService && executionId) {
+            this.executionLogService.markStarted(executionId);
+          }
+        }
+      });
       // Store result values into output params
       if (this.entryParamManager) {
         const outputParamNames = this.entryParamManager.getOutputParamNames(block.id);
@@ -58,6 +167,7 @@ export default class EntryExecutionService {
     } catch (error) {
       result.success = false;
       result.errorMessage = error.message;
+      result.status = error.status || ExecutionStatus.FAILED;
     }
     if (result.success === undefined) {
       result.success = false;
@@ -65,24 +175,321 @@ export default class EntryExecutionService {
     return result;
   }
 
+  /**
+   * Check whether a failed child entry stops the execution of a container
+   * @param {Container} container Container being executed
+   * @returns {boolean} True if the error policy is 'stop' or 'retry'
+   * @private
+   */
+  _stopsOnError(container) {
+    const mode = container.errorPolicy?.mode || 'continue';
+    return mode !== 'continue';
+  }
+
+  /**
+   * Wait for a delay
+   * @param {number} delay Delay in milliseconds
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _wait(delay) {
+    const milliseconds = Number(delay) || 0;
+    if (milliseconds <= 0) return;
+    await new Promise(resolve => setTimeout(resolve, milliseconds));
+  }
+
+  /**
+   * Log entries that are not executed as skipped
+   * @param {Array<Entry>} entries Entries that are skipped
+   * @param {string} traceId Trace ID for execution tracking
+   * @private
+   */
+  _skipEntries(entries, traceId) {
+    for (const entry of entries) {
+      const executionId = this._generateExecutionId(entry.id);
+      // The descendants of a skipped container are not executed either
+      this.runStateStore.markSkipped(this._collectEntryIds(entry), executionId);
+      if (!this.executionLogService) continue;
+      this.executionLogService.addLog(entry, this._resolveInputParams(entry.id), executionId, traceId);
+      this.executionLogService.updateLog(executionId, { success: false, status: ExecutionStatus.SKIPPED });
+    }
+  }
+
+  /**
+   * Execute a child entry of a container
+   * With the 'retry' error policy a failed child is executed again up to retryCount times
+   * @param {Container} container Container being executed
+   * @param {Entry} childEntry Child entry to execute
+   * @param {string} traceId Trace ID for execution tracking
+   * @return {Promise<boolean>} True if the child entry succeeded
+   * @private
+   */
+  async _executeChild(container, childEntry, traceId) {
+    const policy = container.errorPolicy || {};
+    const retryCount = policy.mode === 'retry' ? Math.max(0, Math.floor(Number(policy.retryCount) || 0)) : 0;
+    let childResult = await this.executeEntry(childEntry, traceId);
+    for (let attempt = 0; attempt < retryCount && childResult.success !== true; attempt++) {
+      if (this._cancelRequested) break;
+      await this._wait(policy.retryDelay);
+      if (this._cancelRequested) break;
+      childResult = await this.executeEntry(childEntry, traceId);
+    }
+    return childResult.success === true;
+  }
+
+  /**
+   * Collect the IDs of an entry and all its descendants
+   * @param {Entry} entry Entry (Block or Container)
+   * @param {Set<string>} ids Set to add the IDs to (optional)
+   * @returns {Set<string>} IDs of the entry and its descendants
+   * @private
+   */
+  _collectEntryIds(entry, ids = new Set()) {
+    ids.add(entry.id);
+    if (entry.children) {
+      entry.children.forEach(child => this._collectEntryIds(child, ids));
+    }
+    return ids;
+  }
+
+  /**
+   * Get the IDs of the entries whose outputs the expressions of an entry read
+   * @param {string} entryId The ID of the entry
+   * @returns {Array<string>} Entry IDs
+   * @private
+   */
+  _getExpressionSources(entryId) {
+    if (!this.entryParamManager) return [];
+    const sources = [];
+    for (const expression of Object.values(this.entryParamManager.getInputExpressions(entryId))) {
+      for (const reference of this.expressionEvaluator.getReferences(expression).outputs) {
+        const source = this.expressionEvaluator.findReferencedEntry(entryId, reference.entry);
+        if (source) sources.push(source.id);
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Find the earlier siblings each child entry depends on
+   * A child depends on an earlier sibling when an input parameter of the child (or of one of its descendants)
+   * is linked to an output parameter of the sibling (or of one of its descendants), or reads one in an expression.
+   * Links to later siblings are ignored, as in sequential execution they read the previous value.
+   * @param {Array<Entry>} children Child entries of a container, in execution order
+   * @returns {Array<Array<number>>} Indexes of the siblings each child depends on
+   * @private
+   */
+  _getSiblingDependencies(children) {
+    const subtreeIds = children.map(child => this._collectEntryIds(child));
+    return children.map((child, index) => {
+      const dependencies = new Set();
+      const addSource = (sourceEntryId) => {
+        const sourceIndex = subtreeIds.findIndex(ids => ids.has(sourceEntryId));
+        if (sourceIndex !== -1 && sourceIndex < index) {
+          dependencies.add(sourceIndex);
+        }
+      };
+      for (const entryId of subtreeIds[index]) {
+        if (this.entryConnectionManager) {
+          this.entryConnectionManager.getInputConnections(entryId)
+            .forEach(connection => addSource(connection.sourceEntryId));
+        }
+        this._getExpressionSources(entryId).forEach(addSource);
+      }
+      return Array.from(dependencies);
+    });
+  }
+
+  /**
+   * Execute the child entries of a container in parallel
+   * A child starts as soon as the earlier siblings it depends on have finished;
+   * the scripts run concurrently on the Worker pool of their engine
+   * Children that are not started because of a failure or a cancel request are logged as skipped
+   * @param {Container} container Container whose children are executed
+   * @param {Array<Entry>} children Child entries to execute
+   * @param {string} traceId Trace ID for execution tracking
+   * @return {Promise<boolean>} True if all child entries succeeded
+   * @private
+   */
+  async _executeChildrenInParallel(container, children, traceId) {
+    const dependencies = this._getSiblingDependencies(children);
+    const maxConcurrency = Math.floor(Number(container.parallelism.maxConcurrency) || 0) > 0
+      ? Math.floor(Number(container.parallelism.maxConcurrency))
+      : Infinity;
+    const started = new Set();
+    const finished = new Set();
+    const running = new Map(); // {child index: promise of { index, success }}
+    let success = true;
+    let stopped = false;
+    for (;;) {
+      if (!stopped && !this._cancelRequested) {
+        children.forEach((child, index) => {
+          if (started.has(index) || running.size >= maxConcurrency) return;
+          if (!dependencies[index].every(dependency => finished.has(dependency))) return;
+          started.add(index);
+          running.set(index, this._executeChild(container, child, traceId)
+            .then(childSuccess => ({ index, success: childSuccess })));
+        });
+      }
+      if (running.size === 0) break;
+      // Children may finish in any order
+      const finishedChild = await Promise.race(running.values());
+      running.delete(finishedChild.index);
+      finished.add(finishedChild.index);
+      success = finishedChild.success && success;
+      if (!finishedChild.success && this._stopsOnError(container)) {
+        stopped = true;
+      }
+    }
+    this._skipEntries(children.filter((child, index) => !started.has(index)), traceId);
+    return success;
+  }
+
+  /**
+   * Execute the child entries of a container
+   * Children run one after another, or in parallel when enabled on the container
+   * Children that are not executed because of a failure or a cancel request are logged as skipped
+   * @param {Container} container Container whose children are executed
+   * @param {string} traceId Trace ID for execution tracking
+   * @return {Promise<boolean>} True if all child entries succeeded
+   * @private
+   */
+  async _executeChildren(container, traceId) {
+    const children = [...container.children];
+    if (container.parallelism?.enabled && children.length > 1) {
+      return await this._executeChildrenInParallel(container, children, traceId);
+    }
+    let success = true;
+    for (let index = 0; index < children.length; index++) {
+      if (this._cancelRequested) {
+        this._skipEntries(children.slice(index), traceId);
+        break;
+      }
+      const childSuccess = await this._executeChild(container, children[index], traceId);
+      success = childSuccess && success;
+      if (!childSuccess && this._stopsOnError(container)) {
+        this._skipEntries(children.slice(index + 1), traceId);
+        break;
+      }
+    }
+    return success;
+  }
+
+  /**
+   * Execute one iteration of a loop container
+   * The iteration is logged as a group under the container execution
+   * and its index is published through the Iteration output parameter
+   * @param {Container} container Loop container
+   * @param {number} index Zero-based iteration index
+   * @param {string} traceId Execution ID of the container
+   * @return {Promise<boolean>} True if all child entries succeeded
+   * @private
+   */
+  async _executeIteration(container, index, traceId) {
+    if (this.entryParamManager) {
+      this.entryParamManager.setOutputParam(container.id, 'Iteration', index);
+    }
+    const executionId = this._generateExecutionId(container.id);
+    const iteration = { id: container.id, name: `${container.name} #${index + 1}`, type: 'iteration' };
+    if (this.executionLogService) {
+      this.executionLogService.addLog(iteration, { Iteration: index }, executionId, traceId);
+    }
+    const success = await this._executeChildren(container, executionId);
+    if (this.executionLogService) {
+      const result = { success };
+      if (this._cancelRequested) {
+        result.status = ExecutionStatus.CANCELLED;
+      }
+      this.executionLogService.updateLog(executionId, result);
+    }
+    return success;
+  }
+
+  /**
+   * Execute the iterations of a Repeat container
+   * @param {Container} container Repeat container
+   * @param {Object} inputParams Resolved input parameters of the container
+   * @param {string} traceId Execution ID of the container
+   * @return {Promise<Object>} Partial execution result
+   * @private
+   */
+  async _executeRepeat(container, inputParams, traceId) {
+    const count = Math.max(0, Math.floor(Number(inputParams.Count) || 0));
+    let success = true;
+    for (let index = 0; index < count && !this._cancelRequested; index++) {
+      success = await this._executeIteration(container, index, traceId) && success;
+      if (!success && this._stopsOnError(container)) break;
+    }
+    return { success };
+  }
+
+  /**
+   * Execute the iterations of a While container
+   * The Condition parameter is re-resolved after each iteration, so it can be
+   * connected to an output of an entry inside the loop; the loop fails when its expression fails
+   * @param {Container} container While container
+   * @param {Object} inputParams Resolved input parameters of the container
+   * @param {string} traceId Execution ID of the container
+   * @return {Promise<Object>} Partial execution result
+   * @private
+   */
+  async _executeWhile(container, inputParams, traceId) {
+    const maxIterations = Math.max(1, Math.floor(Number(inputParams.MaxIterations) || 1));
+    let success = true;
+    let index = 0;
+    let condition = true;
+    while (condition && !this._cancelRequested) {
+      if (index >= maxIterations) {
+        return { success: false, errorMessage: `MaxIterations (${maxIterations}) reached` };
+      }
+      success = await this._executeIteration(container, index, traceId) && success;
+      if (!success && this._stopsOnError(container)) break;
+      index++;
+      const conditionErrors = [];
+      condition = Boolean(this._resolveInputParams(container.id, conditionErrors).Condition);
+      if (conditionErrors.length > 0) {
+        return { success: false, errorMessage: conditionErrors.join('; ') };
+      }
+    }
+    return { success };
+  }
+
   /**
    * Execute a container entry
+   * Control-flow containers run their children according to their kind
    * @param {Container} container Container to execute
    * @param {string} traceId Trace ID for execution tracking
+   * @param {Object} inputParams Resolved input parameters of the container (optional)
    * @return {Promise<ScriptExecutionResult>}
    *         Execution result object conforming to ScriptExecutionResult type
    * @private
    */
-  async _executeContainer(container, traceId) {
+  async _executeContainer(container, traceId, inputParams = {}) {
     let result = {};
-    const childResults = [];
     try {
-      // Execute child entries sequentially
-      for (const childEntry of container.children) {
-          const childResult = await this.executeEntry(childEntry, traceId);
-          childResults.push(childResult);
+      switch (container.kind) {
+        case 'repeat':
+          result = await this._executeRepeat(container, inputParams, traceId);
+          break;
+        case 'while':
+          result = await this._executeWhile(container, inputParams, traceId);
+          break;
+        case 'if':
+          // The children are skipped when the condition is false
+          if (inputParams.Condition) {
+            result.success = await this._executeChildren(container, traceId);
+          } else {
+            this._skipEntries(container.children, traceId);
+            result.success = true;
+          }
+          break;
+        default:
+          result.success = await this._executeChildren(container, traceId);
+      }
+      if (this._cancelRequested) {
+        result.status = ExecutionStatus.CANCELLED;
+        result.success = false;
       }
-      result.success = childResults.every(childResult => childResult.success === true);
     } catch (error) {
       result.errorMessage = error.message;
     }
@@ -97,7 +504,7 @@ export default class EntryExecutionService {
    * @return {boolean} True if an entry is executing, false otherwise
    */
   isExecuting() {
-    return this._executionStack.length > 0;
+    return this._runningExecutions.size > 0;
   }
 
   /**
@@ -108,35 +515,135 @@ export default class EntryExecutionService {
    */
   async executeEntry(entry, traceId = null) {
     let result = {};
+    // Generate execution ID
+    const executionId = this._generateExecutionId(entry.id);
+    // Entries of a top-level execution, waiting to be executed until they run
+    const runEntryIds = this._runningExecutions.size === 0 ? this._collectEntryIds(entry) : null;
     try {
-      // Push entry ID onto the stack when execution starts
-      this._executionStack.push(entry.id);
-      // Generate execution ID
-      const executionId = this._generateExecutionId(entry.id);
+      // A new top-level execution clears a previous cancel request and stepping mode
+      if (runEntryIds) {
+        this._cancelRequested = false;
+        this.executionDebugger.begin();
+        this.runStateStore.queue(runEntryIds);
+      }
+      // Register the execution when it starts
+      this._runningExecutions.set(executionId, entry.id);
+      // Pause at a breakpoint or while stepping; inputs are resolved afterwards,
+      // so that values edited while paused are used
+      await this.executionDebugger.beforeEntry(entry, executionId);
       // Log execution start if execution log service is available
-      const inputParams = this.entryParamManager ? this.entryParamManager.getInputParams(entry.id) : {};
+      const inputErrors = [];
+      const inputParams = this._resolveInputParams(entry.id, inputErrors);
       if (this.executionLogService) {
         this.executionLogService.addLog(entry, inputParams, executionId, traceId);
       }
       // Execute an entry
-      if (entry.type === 'block') {
-        result = await this._executeBlock(entry, inputParams);
+      if (this._cancelRequested) {
+        // Cancelled while paused before the entry
+        result = { success: false, status: ExecutionStatus.SKIPPED };
+      } else if (inputErrors.length > 0) {
+        // An entry is not run with inputs whose variables are missing or expressions failed
+        result = { success: false, errorMessage: inputErrors.join('; ') };
+      } else if (entry.type === 'block') {
+        result = await this._executeBlock(entry, inputParams, executionId);
       } else if (entry.type === 'container') {
-        result = await this._executeContainer(entry, executionId);
+        this.runStateStore.markRunning(entry.id, executionId);
+        result = await this._executeContainer(entry, executionId, inputParams);
+      }
+      if (!result.status) {
+        result.status = result.success ? ExecutionStatus.SUCCESS : ExecutionStatus.FAILED;
       }
+      this.runStateStore.markFinished(entry.id, executionId, result);
       // Log execution result if execution log service is available
       if (this.executionLogService) {
         this.executionLogService.updateLog(executionId, result);
       }
     } catch (error) {
       console.log(error.message);
+      this.runStateStore.markFinished(entry.id, executionId, { success: false, errorMessage: error.message });
     } finally {
-      // Pop entry ID from stack when execution ends
-      this._executionStack.pop();
+      // Unregister the execution when it ends (executions of parallel children end in any order)
+      this._runningExecutions.delete(executionId);
+      this.executionDebugger.afterEntry(executionId);
+      if (this._runningExecutions.size === 0) {
+        this.executionDebugger.end();
+      }
+      if (runEntryIds) {
+        this.runStateStore.settle(runEntryIds);
+      }
     }
     return result;
   }
 
+  /**
+   * Execute several entries one after another as an ad-hoc group
+   * The group is executed and logged like a plain container holding the entries, but it is not part of the recipe
+   * @param {Array<Entry>} entries Entries to execute, in execution order
+   * @return {Promise<*>} Execution result of the group
+   */
+  async executeGroup(entries) {
+    this._groupSequence++;
+    const group = {
+      id: `${this._sessionId}_group_${this._groupSequence}`,
+      name: `Selection (${entries.length})`,
+      type: 'container',
+      kind: 'group',
+      children: [...entries]
+    };
+    return await this.executeEntry(group);
+  }
+
+  /**
+   * Cancel the running execution
+   * The running script is stopped and the remaining entries of containers are not executed
+   */
+  cancel() {
+    if (!this.isExecuting()) return;
+    this._cancelRequested = true;
+    this.executionDebugger.release();
+    this.scriptExecutionService.cancel();
+  }
+
+  /**
+   * Get the run states of the entries
+   * @returns {Object} Readonly reactive reference to the run states by entry ID
+   */
+  getRunStates() {
+    return this.runStateStore.getStates();
+  }
+
+  /**
+   * Get the debugger of the executions (breakpoints and stepping)
+   * @returns {ExecutionDebugger} Execution debugger
+   */
+  getDebugger() {
+    return this.executionDebugger;
+  }
+
+  /**
+   * Get the evaluator of the expressions given to input parameters
+   * @returns {ExpressionEvaluator} Expression evaluator
+   */
+  getExpressionEvaluator() {
+    return this.expressionEvaluator;
+  }
+
+  /**
+   * Get the health of the script engines
+   * @returns {Object} Readonly reactive reference to an array of { name, state, message }
+   */
+  getEngineHealth() {
+    return this.scriptExecutionService.getEngineHealth();
+  }
+
+  /**
+   * Restart a script engine (e.g. after it has been disabled by a Worker crash)
+   * @param {string} engineName Engine name
+   */
+  restartEngine(engineName) {
+    this.scriptExecutionService.restartEngine(engineName);
+  }
+
   /**
    * Terminate the service
    * Performs cleanup operations for ScriptExecutionService
@@ -145,6 +652,7 @@ export default class EntryExecutionService {
     if (this.scriptExecutionService) {
       this.scriptExecutionService.terminate();
     }
-    this._executionStack = [];
+    this.executionDebugger.release();
+    this._runningExecutions.clear();
   }
 }
@@ -0,0 +1,122 @@
+import { ref, readonly } from 'vue';
+import RunState from './RunState';
+import ExecutionStatus from '../script_execution/ExecutionStatus';
+
+/**
+ * Entry Run State Store
+ * Keeps the run state of each entry, keyed by entry ID, for display in the editor
+ *
+ * A run state has the following properties:
+ * - state {string} Run state (see RunState)
+ * - executionId {string|null} Execution ID of the last execution, to find it in the execution log
+ * - execTime {number|null} Execution time of the last execution in milliseconds
+ * - errorMessage {string|null} Error message of the last execution
+ */
+export default class EntryRunStateStore {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this._states = ref({});
+    // Start time of the running executions by execution ID
+    this._startTimes = new Map();
+  }
+
+  /**
+   * Get the run states
+   * @returns {Object} Readonly reactive reference to the run states by entry ID
+   */
+  getStates() {
+    return readonly(this._states);
+  }
+
+  /**
+   * Get the run state of an entry
+   * @param {string} entryId Entry ID
+   * @returns {Object} Run state (idle when the entry has not been executed)
+   */
+  getState(entryId) {
+    return this._states.value[entryId] ||
+      { state: RunState.IDLE, executionId: null, execTime: null, errorMessage: null };
+  }
+
+  /**
+   * Update the run state of an entry
+   * @param {string} entryId Entry ID
+   * @param {Object} changes Properties to change
+   * @private
+   */
+  _update(entryId, changes) {
+    this._states.value[entryId] = { ...this.getState(entryId), ...changes };
+  }
+
+  /**
+   * Mark entries as waiting to be executed
+   * The results of their previous executions are kept until they run again
+   * @param {Iterable<string>} entryIds Entry IDs
+   */
+  queue(entryIds) {
+    for (const entryId of entryIds) {
+      this._update(entryId, { state: RunState.QUEUED });
+    }
+  }
+
+  /**
+   * Mark an entry as running
+   * @param {string} entryId Entry ID
+   * @param {string} executionId Execution ID
+   */
+  markRunning(entryId, executionId) {
+    this._startTimes.set(executionId, performance.now());
+    this._update(entryId, { state: RunState.RUNNING, executionId });
+  }
+
+  /**
+   * Record the result of an execution
+   * @param {string} entryId Entry ID
+   * @param {string} executionId Execution ID
+   * @param {Object} result Execution result
+   */
+  markFinished(entryId, executionId, result) {
+    const startTime = this._startTimes.get(executionId);
+    this._startTimes.delete(executionId);
+    let state = result?.success ? RunState.SUCCEEDED : RunState.FAILED;
+    let errorMessage = result?.errorMessage || null;
+    if (result?.status === ExecutionStatus.SKIPPED) {
+      state = RunState.SKIPPED;
+    } else if (result?.status === ExecutionStatus.CANCELLED) {
+      errorMessage = errorMessage || 'Cancelled';
+    } else if (result?.status === ExecutionStatus.TIMEOUT) {
+      errorMessage = errorMessage || 'Timed out';
+    }
+    this._update(entryId, {
+      state,
+      executionId,
+      execTime: startTime === undefined ? null : performance.now() - startTime,
+      errorMessage
+    });
+  }
+
+  /**
+   * Mark entries as skipped
+   * @param {Iterable<string>} entryIds Entry IDs
+   * @param {string|null} executionId Execution ID of the skipped log (optional)
+   */
+  markSkipped(entryIds, executionId = null) {
+    for (const entryId of entryIds) {
+      this._update(entryId, { state: RunState.SKIPPED, executionId, execTime: null, errorMessage: null });
+    }
+  }
+
+  /**
+   * Reset entries that are still queued at the end of a run (e.g. children of a loop that ran 0 times)
+   * @param {Iterable<string>} entryIds Entry IDs of the run
+   */
+  settle(entryIds) {
+    for (const entryId of entryIds) {
+      if (this.getState(entryId).state === RunState.QUEUED) {
+        this._update(entryId, { state: RunState.IDLE });
+      }
+    }
+  }
+}
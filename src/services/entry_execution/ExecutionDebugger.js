@@ -0,0 +1,245 @@
+import { ref, readonly } from 'vue';
+
+// Stepping modes deciding where the execution pauses next
+const StepMode = Object.freeze({
+  RUN: 'run', // Pause at breakpoints only
+  PAUSE: 'pause', // Pause at the next entry (pause requested or step into)
+  STEP_OVER: 'stepOver' // Pause at the next entry after the stepped-over execution has finished
+});
+
+/**
+ * Execution Debugger
+ * Pauses the execution of entries at breakpoints and lets it continue step by step.
+ * EntryExecutionService calls beforeEntry() before each entry runs (before its inputs are resolved,
+ * so that inputs edited while paused are used) and afterEntry() when it has finished.
+ * While several entries run in parallel, the execution pauses at one entry at a time.
+ */
+export default class ExecutionDebugger {
+  /**
+   * Constructor
+   */
+  constructor() {
+    // IDs of the entries with a breakpoint
+    this._breakpoints = ref(new Set());
+    // Whether a top-level execution is running, and the entry it is paused at
+    this._state = ref({
+      running: false,
+      paused: false,
+      entryId: null,
+      entryName: null,
+      entryType: null,
+      executionId: null
+    });
+    this._mode = StepMode.RUN;
+    // Whether the running execution has been released (cancelled); it does not pause again until it ends
+    this._released = false;
+    // Execution ID of the entry being stepped over
+    this._stepOverExecutionId = null;
+    // Resolves the promise awaited by the paused entry
+    this._resume = null;
+    this._resumed = null;
+  }
+
+  /**
+   * Get the breakpoints
+   * @returns {Object} Readonly reactive reference to the set of entry IDs with a breakpoint
+   */
+  getBreakpoints() {
+    return readonly(this._breakpoints);
+  }
+
+  /**
+   * Check whether an entry has a breakpoint
+   * @param {string} entryId Entry ID
+   * @returns {boolean} True if the entry has a breakpoint
+   */
+  hasBreakpoint(entryId) {
+    return this._breakpoints.value.has(entryId);
+  }
+
+  /**
+   * Set or remove the breakpoint of an entry
+   * @param {string} entryId Entry ID
+   * @returns {boolean} True if the entry now has a breakpoint
+   */
+  toggleBreakpoint(entryId) {
+    const breakpoints = new Set(this._breakpoints.value);
+    const enabled = !breakpoints.has(entryId);
+    if (enabled) {
+      breakpoints.add(entryId);
+    } else {
+      breakpoints.delete(entryId);
+    }
+    this._breakpoints.value = breakpoints;
+    return enabled;
+  }
+
+  /**
+   * Remove the breakpoints of entries (e.g. when the entries are removed)
+   * @param {Array<string>} entryIds Entry IDs
+   */
+  removeBreakpoints(entryIds) {
+    if (!entryIds.some(entryId => this._breakpoints.value.has(entryId))) return;
+    const breakpoints = new Set(this._breakpoints.value);
+    entryIds.forEach(entryId => breakpoints.delete(entryId));
+    this._breakpoints.value = breakpoints;
+  }
+
+  /**
+   * Remove all breakpoints
+   */
+  clearBreakpoints() {
+    this._breakpoints.value = new Set();
+  }
+
+  /**
+   * Get the execution state
+   * @returns {Object} Readonly reactive reference to { running, paused, entryId, entryName, entryType, executionId }
+   */
+  getState() {
+    return readonly(this._state);
+  }
+
+  /**
+   * Check whether the execution is paused
+   * @returns {boolean} True if paused
+   */
+  isPaused() {
+    return this._state.value.paused;
+  }
+
+  /**
+   * Notify the start of a top-level execution
+   * The stepping mode of a previous run is forgotten, a pause requested before the start is kept
+   */
+  begin() {
+    if (this._mode !== StepMode.PAUSE) {
+      this._mode = StepMode.RUN;
+    }
+    this._released = false;
+    this._stepOverExecutionId = null;
+    this._state.value = { ...this._state.value, running: true };
+  }
+
+  /**
+   * Notify the end of a top-level execution
+   */
+  end() {
+    this._mode = StepMode.RUN;
+    this._released = false;
+    this._stepOverExecutionId = null;
+    this._state.value = { ...this._state.value, running: false };
+  }
+
+  /**
+   * Check whether the execution should pause before an entry
+   * @param {Entry} entry Entry about to run
+   * @returns {boolean} True to pause
+   * @private
+   */
+  _shouldPause(entry) {
+    if (this._released) return false;
+    return this._breakpoints.value.has(entry.id) || this._mode === StepMode.PAUSE;
+  }
+
+  /**
+   * Wait before an entry runs when it has a breakpoint or the execution is being stepped
+   * @param {Entry} entry Entry about to run
+   * @param {string} executionId Execution ID of the entry
+   * @returns {Promise<void>} Promise resolved when the execution may continue
+   */
+  async beforeEntry(entry, executionId) {
+    // Entries running in parallel wait while another entry is paused
+    while (this._resumed) {
+      await this._resumed;
+    }
+    if (!this._shouldPause(entry)) return;
+    this._resumed = new Promise(resolve => { this._resume = resolve; });
+    this._state.value = {
+      running: true,
+      paused: true,
+      entryId: entry.id,
+      entryName: entry.name,
+      entryType: entry.type,
+      executionId
+    };
+    await this._resumed;
+  }
+
+  /**
+   * Notify the end of an entry execution
+   * Ends a step over when the stepped-over entry has finished
+   * @param {string} executionId Execution ID of the entry
+   */
+  afterEntry(executionId) {
+    if (this._mode === StepMode.STEP_OVER && executionId === this._stepOverExecutionId) {
+      this._mode = StepMode.PAUSE;
+      this._stepOverExecutionId = null;
+    }
+  }
+
+  /**
+   * Continue from the paused entry in a stepping mode
+   * @param {string} mode Stepping mode
+   * @private
+   */
+  _continueWith(mode) {
+    const executionId = this._state.value.executionId;
+    this._mode = mode;
+    this._stepOverExecutionId = mode === StepMode.STEP_OVER ? executionId : null;
+    this._state.value = { running: this._state.value.running, paused: false, entryId: null, entryName: null, entryType: null, executionId: null };
+    const resume = this._resume;
+    this._resume = null;
+    this._resumed = null;
+    if (resume) resume();
+  }
+
+  /**
+   * Pause at the next entry that starts
+   * Scripts already running are not interrupted; before a run, the run pauses at its first entry
+   */
+  pause() {
+    if (this.isPaused()) return;
+    this._mode = StepMode.PAUSE;
+  }
+
+  /**
+   * Run the paused entry, including the children of a container, and pause at the next entry
+   */
+  stepOver() {
+    if (!this.isPaused()) return;
+    this._continueWith(StepMode.STEP_OVER);
+  }
+
+  /**
+   * Run the paused entry and pause at the next entry; for a container this is its first child
+   */
+  stepInto() {
+    if (!this.isPaused()) return;
+    this._continueWith(StepMode.PAUSE);
+  }
+
+  /**
+   * Continue the execution until the next breakpoint
+   */
+  resume() {
+    if (!this.isPaused()) {
+      this._mode = StepMode.RUN;
+      return;
+    }
+    this._continueWith(StepMode.RUN);
+  }
+
+  /**
+   * Release a paused execution without further pauses (e.g. when the execution is cancelled)
+   * Breakpoints are ignored until the execution ends, also by parallel entries waiting for the pause to end
+   */
+  release() {
+    if (this.isPaused()) {
+      this._continueWith(StepMode.RUN);
+    }
+    this._released = true;
+    this._mode = StepMode.RUN;
+    this._stepOverExecutionId = null;
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Run state values of entries
+ * Shown on the entries in the editor while and after they are executed
+ */
+const RunState = Object.freeze({
+  IDLE: 'idle',           // Not executed in the current run
+  QUEUED: 'queued',       // Waiting to be executed in the current run
+  RUNNING: 'running',     // Being executed
+  SUCCEEDED: 'succeeded', // Last execution succeeded
+  FAILED: 'failed',       // Last execution failed, timed out or was cancelled
+  SKIPPED: 'skipped'      // Not executed because of a failure, a condition or a cancel request
+});
+
+export default RunState;
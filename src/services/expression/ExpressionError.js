@@ -0,0 +1,19 @@
+/**
+ * Expression Error
+ * Error raised while parsing or evaluating an expression, with the position where it occurred
+ */
+export default class ExpressionError extends Error {
+  /**
+   * Constructor
+   * @param {string} reason Description of the problem
+   * @param {string} expression Expression text
+   * @param {number} position Zero-based index of the character where the problem was found
+   */
+  constructor(reason, expression, position) {
+    super(`${reason} at position ${position + 1} in "${expression}"`);
+    this.name = 'ExpressionError';
+    this.reason = reason;
+    this.expression = expression;
+    this.position = position;
+  }
+}
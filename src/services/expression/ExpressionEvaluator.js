@@ -0,0 +1,616 @@
+import ExpressionError from './ExpressionError';
+import Variable from '../../classes/Variable';
+
+// Prefix marking an input parameter value as an expression
+const EXPRESSION_PREFIX = '=';
+
+// Binary operators by precedence level, lowest first
+const BINARY_OPERATORS = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+// Names of variables, functions and entries that can be written in expressions
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Operator tokens, longest first so that "<=" is not read as "<"
+const OPERATOR_TOKENS = ['||', '&&', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '^', '!', '(', ')', ',', '.'];
+
+// Functions that can be called in expressions: { name: [minimum arguments, maximum arguments, implementation] }
+const FUNCTIONS = {
+  abs: [1, 1, Math.abs],
+  min: [1, Infinity, Math.min],
+  max: [1, Infinity, Math.max],
+  round: [1, 1, Math.round],
+  floor: [1, 1, Math.floor],
+  ceil: [1, 1, Math.ceil],
+  sqrt: [1, 1, Math.sqrt],
+  pow: [2, 2, Math.pow],
+  exp: [1, 1, Math.exp],
+  log: [1, 1, Math.log],
+  log10: [1, 1, Math.log10],
+  sin: [1, 1, Math.sin],
+  cos: [1, 1, Math.cos],
+  tan: [1, 1, Math.tan]
+};
+
+/**
+ * Expression Evaluator
+ * Parses and evaluates expressions given to input parameters (e.g. "=Add1.Result * 2 + threshold")
+ * without eval: the text is read by a recursive descent parser and the syntax tree is interpreted.
+ *
+ * Supported syntax:
+ * - Numbers, strings in single or double quotes, true and false
+ * - Arithmetic (+ - * / % ^), comparison (== != < <= > >=) and logical (&& || !) operators
+ * - Math functions (abs, min, max, round, floor, ceil, sqrt, pow, exp, log, log10, sin, cos, tan)
+ *   and if(condition, then, else), which only evaluates the chosen branch
+ * - Variables by name (e.g. threshold)
+ * - Output parameters of entries as Name.Param; entries sharing a name are numbered
+ *   in recipe order (e.g. Add1.Result), and the Iteration output of a loop is its counter
+ *
+ * Expressions are stored with entries referred to by ID ({id}.Param), so that a reference keeps
+ * pointing to the same entry when entries are added, moved or renamed; see toStoredExpression
+ * and toDisplayExpression for the conversion from and to the names shown to the user.
+ */
+export default class ExpressionEvaluator {
+  /**
+   * Constructor
+   * @param {EntryManager} entryManager Entry manager instance, to find variables and entries (optional)
+   * @param {EntryParamManager} entryParamManager Entry parameter manager instance, to read outputs (optional)
+   */
+  constructor(entryManager = null, entryParamManager = null) {
+    this.entryManager = entryManager;
+    this.entryParamManager = entryParamManager;
+    // Parsed syntax trees by expression text
+    this._cache = new Map();
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} expression Expression text
+   * @returns {Array<Object>} Tokens ({ type, value, position }), ending with an 'end' token
+   * @throws {ExpressionError} If the text contains an unexpected character
+   * @private
+   */
+  _tokenize(expression) {
+    const tokens = [];
+    // The "=" prefix is not part of the expression itself
+    let index = expression.startsWith(EXPRESSION_PREFIX) ? EXPRESSION_PREFIX.length : 0;
+    while (index < expression.length) {
+      const char = expression[index];
+      if (/\s/.test(char)) {
+        index++;
+        continue;
+      }
+      const position = index;
+      const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(expression.slice(index));
+      if (numberMatch) {
+        tokens.push({ type: 'number', value: Number(numberMatch[0]), position });
+        index += numberMatch[0].length;
+        continue;
+      }
+      const nameMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(index));
+      if (nameMatch) {
+        tokens.push({ type: 'name', value: nameMatch[0], position });
+        index += nameMatch[0].length;
+        continue;
+      }
+      if (char === '{') {
+        // Entry referred to by ID, including the braces (e.g. {2f0c...}.Result)
+        const end = expression.indexOf('}', index);
+        if (end < 0) {
+          throw new ExpressionError('Unterminated entry reference', expression, position);
+        }
+        tokens.push({ type: 'entry', value: expression.slice(index, end + 1), position });
+        index = end + 1;
+        continue;
+      }
+      if (char === '"' || char === '\'') {
+        let text = '';
+        index++;
+        while (index < expression.length && expression[index] !== char) {
+          // A backslash escapes the next character (e.g. \" or \\)
+          if (expression[index] === '\\' && index + 1 < expression.length) {
+            index++;
+          }
+          text += expression[index];
+          index++;
+        }
+        if (index >= expression.length) {
+          throw new ExpressionError('Unterminated string', expression, position);
+        }
+        index++;
+        tokens.push({ type: 'string', value: text, position });
+        continue;
+      }
+      const operator = OPERATOR_TOKENS.find(candidate => expression.startsWith(candidate, index));
+      if (!operator) {
+        throw new ExpressionError(`Unexpected character "${char}"`, expression, position);
+      }
+      tokens.push({ type: 'operator', value: operator, position });
+      index += operator.length;
+    }
+    tokens.push({ type: 'end', value: null, position: expression.length });
+    return tokens;
+  }
+
+  /**
+   * Parse an expression into a syntax tree
+   * @param {string} expression Expression text, with or without the "=" prefix
+   * @returns {Object} Root node of the syntax tree
+   * @throws {ExpressionError} If the expression is not valid
+   */
+  parse(expression) {
+    if (this._cache.has(expression)) {
+      return this._cache.get(expression);
+    }
+    const tokens = this._tokenize(expression);
+    let current = 0;
+
+    const peek = () => tokens[current];
+    const isOperator = (value) => peek().type === 'operator' && peek().value === value;
+    const fail = (token, reason) => {
+      throw new ExpressionError(reason || (token.type === 'end'
+        ? 'Unexpected end of expression'
+        : `Unexpected "${token.value}"`), expression, token.position);
+    };
+    const expect = (value) => {
+      if (!isOperator(value)) fail(peek(), peek().type === 'end' ? `Expected "${value}"` : undefined);
+      current++;
+    };
+
+    // Binary operators of a precedence level and above, left associative
+    const parseBinary = (level) => {
+      if (level >= BINARY_OPERATORS.length) {
+        return parseUnary();
+      }
+      let left = parseBinary(level + 1);
+      while (peek().type === 'operator' && BINARY_OPERATORS[level].includes(peek().value)) {
+        const token = tokens[current++];
+        const right = parseBinary(level + 1);
+        left = { type: 'binary', operator: token.value, left, right, position: token.position };
+      }
+      return left;
+    };
+
+    const parseUnary = () => {
+      if (isOperator('-') || isOperator('+') || isOperator('!')) {
+        const token = tokens[current++];
+        return { type: 'unary', operator: token.value, operand: parseUnary(), position: token.position };
+      }
+      return parsePower();
+    };
+
+    // Exponentiation is right associative and binds tighter than a unary minus on its left (-2^2 = -4)
+    const parsePower = () => {
+      const base = parsePrimary();
+      if (isOperator('^')) {
+        const token = tokens[current++];
+        return { type: 'binary', operator: '^', left: base, right: parseUnary(), position: token.position };
+      }
+      return base;
+    };
+
+    // Output parameter of the entry of a token (Name.Param or {id}.Param)
+    const parseOutput = (token) => {
+      expect('.');
+      const member = peek();
+      if (member.type !== 'name') fail(member, 'Expected a parameter name');
+      current++;
+      return { type: 'output', entry: token.value, param: member.value, position: token.position };
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+      if (token.type === 'entry') {
+        current++;
+        return parseOutput(token);
+      }
+      if (token.type === 'number' || token.type === 'string') {
+        current++;
+        return { type: 'literal', value: token.value, position: token.position };
+      }
+      if (token.type === 'name') {
+        current++;
+        if (token.value === 'true' || token.value === 'false') {
+          return { type: 'literal', value: token.value === 'true', position: token.position };
+        }
+        if (isOperator('(')) {
+          current++;
+          const args = [];
+          if (!isOperator(')')) {
+            args.push(parseBinary(0));
+            while (isOperator(',')) {
+              current++;
+              args.push(parseBinary(0));
+            }
+          }
+          expect(')');
+          return { type: 'call', name: token.value, args, position: token.position };
+        }
+        if (isOperator('.')) {
+          return parseOutput(token);
+        }
+        return { type: 'variable', name: token.value, position: token.position };
+      }
+      if (isOperator('(')) {
+        current++;
+        const inner = parseBinary(0);
+        expect(')');
+        return inner;
+      }
+      return fail(token);
+    };
+
+    if (peek().type === 'end') {
+      fail(peek(), 'Empty expression');
+    }
+    const tree = parseBinary(0);
+    if (peek().type !== 'end') {
+      fail(peek());
+    }
+    this._cache.set(expression, tree);
+    return tree;
+  }
+
+  /**
+   * Collect the entry outputs and variables an expression reads
+   * @param {string} expression Expression text
+   * @returns {Object} References ({ outputs: [{ entry, param }], variables: [name] }), empty if the expression is invalid;
+   *   entry is the reference as written (Name or {id}), see findReferencedEntry
+   */
+  getReferences(expression) {
+    const references = { outputs: [], variables: [] };
+    let tree;
+    try {
+      tree = this.parse(expression);
+    } catch (error) {
+      return references;
+    }
+    const visit = (node) => {
+      if (node.type === 'output') references.outputs.push({ entry: node.entry, param: node.param });
+      if (node.type === 'variable') references.variables.push(node.name);
+      [node.left, node.right, node.operand, ...(node.args || [])].filter(Boolean).forEach(visit);
+    };
+    visit(tree);
+    return references;
+  }
+
+  /**
+   * Evaluate an expression
+   * @param {string} expression Expression text, with or without the "=" prefix
+   * @param {Function} resolve Function returning the value of a variable (name) or of an output (entry, param);
+   *   it throws an Error when the reference is unknown
+   * @param {string|null} dataType Data type to convert the result to ('integer', 'real', 'boolean', 'string'), or null
+   * @returns {*} Result of the expression
+   * @throws {ExpressionError} If the expression is not valid or cannot be evaluated
+   */
+  evaluate(expression, resolve, dataType = null) {
+    const tree = this.parse(expression);
+    const fail = (node, reason) => {
+      throw new ExpressionError(reason, expression, node.position);
+    };
+    const toNumber = (value, node) => {
+      if (typeof value === 'number') return value;
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+      if (Number.isNaN(number)) fail(node, `Expected a number but got ${JSON.stringify(value)}`);
+      return number;
+    };
+
+    const evaluateNode = (node) => {
+      switch (node.type) {
+        case 'literal':
+          return node.value;
+        case 'variable':
+        case 'output':
+          try {
+            return node.type === 'variable' ? resolve(node.name) : resolve(node.entry, node.param);
+          } catch (error) {
+            return fail(node, error.message);
+          }
+        case 'unary': {
+          const operand = evaluateNode(node.operand);
+          if (node.operator === '!') return !operand;
+          const number = toNumber(operand, node.operand);
+          return node.operator === '-' ? -number : number;
+        }
+        case 'binary':
+          return evaluateBinary(node);
+        case 'call':
+          return evaluateCall(node);
+        default:
+          return fail(node, `Unknown node "${node.type}"`);
+      }
+    };
+
+    // Numbers and booleans compare by value (true == 1), strings only equal the same string
+    const equals = (left, right) => {
+      if (typeof left === 'string' || typeof right === 'string') return left === right;
+      return Number(left) === Number(right);
+    };
+
+    const evaluateBinary = (node) => {
+      // Logical operators only evaluate their right side when needed
+      if (node.operator === '&&') return Boolean(evaluateNode(node.left)) && Boolean(evaluateNode(node.right));
+      if (node.operator === '||') return Boolean(evaluateNode(node.left)) || Boolean(evaluateNode(node.right));
+      const left = evaluateNode(node.left);
+      const right = evaluateNode(node.right);
+      switch (node.operator) {
+        case '==': return equals(left, right);
+        case '!=': return !equals(left, right);
+        case '+':
+          // "+" joins text when either side is a string
+          if (typeof left === 'string' || typeof right === 'string') return `${left}${right}`;
+          return toNumber(left, node.left) + toNumber(right, node.right);
+      }
+      if (['<', '<=', '>', '>='].includes(node.operator) && typeof left === 'string' && typeof right === 'string') {
+        return { '<': left < right, '<=': left <= right, '>': left > right, '>=': left >= right }[node.operator];
+      }
+      const a = toNumber(left, node.left);
+      const b = toNumber(right, node.right);
+      switch (node.operator) {
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+          if (b === 0) fail(node, 'Division by zero');
+          return a / b;
+        case '%':
+          if (b === 0) fail(node, 'Division by zero');
+          return a % b;
+        case '^': return Math.pow(a, b);
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+      }
+      return fail(node, `Unknown operator "${node.operator}"`);
+    };
+
+    const evaluateCall = (node) => {
+      if (node.name === 'if') {
+        if (node.args.length !== 3) fail(node, 'if() takes 3 arguments');
+        return evaluateNode(node.args[0]) ? evaluateNode(node.args[1]) : evaluateNode(node.args[2]);
+      }
+      // Own properties only, so that names like "constructor" are unknown functions
+      const definition = Object.hasOwn(FUNCTIONS, node.name) ? FUNCTIONS[node.name] : null;
+      if (!definition) fail(node, `Unknown function "${node.name}"`);
+      const [minArgs, maxArgs, implementation] = definition;
+      if (node.args.length < minArgs || node.args.length > maxArgs) {
+        fail(node, `${node.name}() takes ${minArgs === maxArgs ? minArgs : `at least ${minArgs}`} argument${maxArgs === 1 ? '' : 's'}`);
+      }
+      const result = implementation(...node.args.map(arg => toNumber(evaluateNode(arg), arg)));
+      if (Number.isNaN(result)) fail(node, `${node.name}() is not defined for these arguments`);
+      return result;
+    };
+
+    const value = evaluateNode(tree);
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      fail(tree, 'Result is not a finite number');
+    }
+    return dataType ? this._coerce(value, dataType, expression, tree) : value;
+  }
+
+  /**
+   * Convert the result of an expression to the data type of a parameter
+   * @param {*} value Result of the expression
+   * @param {string} dataType Data type of the parameter
+   * @param {string} expression Expression text, for error messages
+   * @param {Object} tree Root node of the syntax tree, for error messages
+   * @returns {*} Converted value
+   * @throws {ExpressionError} If the value cannot be converted
+   * @private
+   */
+  _coerce(value, dataType, expression, tree) {
+    const fail = () => {
+      throw new ExpressionError(`Cannot convert ${JSON.stringify(value)} to ${dataType}`, expression, tree.position);
+    };
+    switch (dataType) {
+      case 'integer':
+      case 'real': {
+        // Converted like variable values, so that integers are truncated in both
+        const number = Variable.toNumber(dataType, value);
+        if (number === null) fail();
+        return number;
+      }
+      case 'boolean':
+        if (typeof value === 'string') {
+          if (value === 'true' || value === 'false') return value === 'true';
+          fail();
+        }
+        return Boolean(value);
+      case 'string':
+        return String(value);
+      default:
+        // Other data types (e.g. color, file path) take the value as it is
+        return value;
+    }
+  }
+
+  /**
+   * Create the function resolving the references of an expression given to an input parameter of an entry
+   * Variables are looked up in the scopes of the enclosing containers, entries in the whole recipe
+   * @param {string} entryId ID of the entry owning the input parameter
+   * @returns {Function} Resolve function for evaluate()
+   * @private
+   */
+  _createResolver(entryId) {
+    return (name, param) => {
+      if (!this.entryManager) {
+        throw new Error(`Unknown reference "${name}"`);
+      }
+      if (param === undefined) {
+        const variable = this.entryManager.findVariable(entryId, name);
+        if (!variable) throw new Error(`Unknown variable "${name}"`);
+        return variable.value;
+      }
+      const source = this.findReferencedEntry(entryId, name);
+      if (!source) {
+        if (name.startsWith('{')) throw new Error('The referenced entry no longer exists');
+        const count = this._getRecipeEntries(entryId).filter(entry => entry.name === name).length;
+        throw new Error(count > 1 ? `${count} entries are named "${name}", use ${name}1 to ${name}${count}` : `Unknown entry "${name}"`);
+      }
+      const outputParams = this.entryParamManager ? this.entryParamManager.getOutputParams(source.id) : {};
+      if (!Object.hasOwn(outputParams, param)) {
+        throw new Error(`${this.getReferenceName(entryId, source.id)} has no output "${param}"`);
+      }
+      return outputParams[param];
+    };
+  }
+
+  /**
+   * Get all entries of the recipe containing an entry, in recipe order
+   * @param {string} entryId ID of an entry of the recipe
+   * @returns {Array<Entry>} Entries below the root container
+   * @private
+   */
+  _getRecipeEntries(entryId) {
+    if (!this.entryManager) return [];
+    const ancestors = this.entryManager.getAncestors(entryId);
+    const root = ancestors.length > 0 ? ancestors[ancestors.length - 1] : this.entryManager.getEntry(entryId);
+    const entries = [];
+    const collect = (entry) => {
+      entry.children.forEach(child => {
+        entries.push(child);
+        collect(child);
+      });
+    };
+    if (root) collect(root);
+    return entries;
+  }
+
+  /**
+   * Find the entry an expression refers to
+   * A reference in braces is the ID of the entry. The plain name refers to the only entry
+   * with that name; entries sharing a name are referred to with their number in recipe order
+   * appended (e.g. Add1, Add2)
+   * @param {string} entryId ID of the entry owning the expression (to find the recipe root)
+   * @param {string} reference Entry reference used in the expression
+   * @returns {Entry|null} Referenced entry or null
+   */
+  findReferencedEntry(entryId, reference) {
+    const entries = this._getRecipeEntries(entryId);
+    if (reference.startsWith('{')) {
+      return entries.find(entry => `{${entry.id}}` === reference) || null;
+    }
+    const sameName = entries.filter(entry => entry.name === reference);
+    if (sameName.length === 1) return sameName[0];
+    const match = /^(.*?)(\d+)$/.exec(reference);
+    if (!match) return null;
+    const numbered = entries.filter(entry => entry.name === match[1]);
+    return numbered[Number(match[2]) - 1] || null;
+  }
+
+  /**
+   * Get the name an expression uses for an entry
+   * @param {string} entryId ID of the entry owning the expression (to find the recipe root)
+   * @param {string} targetId ID of the referenced entry
+   * @returns {string|null} The entry name, numbered if other entries share it (e.g. Add2), or null if not found
+   */
+  getReferenceName(entryId, targetId) {
+    const entries = this._getRecipeEntries(entryId);
+    const target = entries.find(entry => entry.id === targetId);
+    if (!target) return null;
+    const sameName = entries.filter(entry => entry.name === target.name);
+    return sameName.length === 1 ? target.name : `${target.name}${sameName.indexOf(target) + 1}`;
+  }
+
+  /**
+   * Replace the entry references (the part before ".Param") of an expression
+   * @param {string} expression Expression text
+   * @param {Function} replace Function receiving a reference (Name or {id}) and returning its replacement, or null to keep it
+   * @returns {string} Expression with the references replaced (unchanged if it cannot be split into tokens)
+   * @private
+   */
+  _replaceEntryReferences(expression, replace) {
+    let tokens;
+    try {
+      tokens = this._tokenize(expression);
+    } catch (error) {
+      return expression;
+    }
+    let result = '';
+    let copied = 0;
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+      if ((token.type !== 'name' && token.type !== 'entry') || next.type !== 'operator' || next.value !== '.') return;
+      const replacement = replace(token.value);
+      if (replacement === null) return;
+      result += expression.slice(copied, token.position) + replacement;
+      copied = token.position + token.value.length;
+    });
+    return result + expression.slice(copied);
+  }
+
+  /**
+   * Convert an expression written by the user to the form it is stored in
+   * Entries referred to by name are replaced by the ID of the entry the name refers to now;
+   * unknown names are kept, so that evaluating the expression reports them
+   * @param {string} entryId ID of the entry owning the expression
+   * @param {string} expression Expression text with entries referred to by name
+   * @returns {string} Expression text with entries referred to by ID
+   */
+  toStoredExpression(entryId, expression) {
+    return this._replaceEntryReferences(expression, reference => {
+      if (reference.startsWith('{')) return null;
+      const entry = this.findReferencedEntry(entryId, reference);
+      return entry ? `{${entry.id}}` : null;
+    });
+  }
+
+  /**
+   * Convert a stored expression to the form shown to the user
+   * Entries referred to by ID are shown by their current name; an ID is kept when the entry
+   * no longer exists or its name cannot be written in an expression
+   * @param {string} entryId ID of the entry owning the expression
+   * @param {string} expression Stored expression text
+   * @returns {string} Expression text with entries referred to by name
+   */
+  toDisplayExpression(entryId, expression) {
+    return this._replaceEntryReferences(expression, reference => {
+      if (!reference.startsWith('{')) return null;
+      const entry = this.findReferencedEntry(entryId, reference);
+      const name = entry ? this.getReferenceName(entryId, entry.id) : null;
+      // The name must lead back to the same entry (e.g. not to another entry named "Add1")
+      if (!name || !NAME_PATTERN.test(name) || this.findReferencedEntry(entryId, name) !== entry) return null;
+      return name;
+    });
+  }
+
+  /**
+   * Replace the entry IDs of a stored expression, e.g. in copies of entries given new IDs
+   * @param {string} expression Stored expression text
+   * @param {Map<string, string>} newIds Dictionary of old IDs and new IDs; other IDs are kept
+   * @returns {string} Expression text with the IDs replaced
+   */
+  replaceEntryIds(expression, newIds) {
+    return this._replaceEntryReferences(expression, reference => {
+      const id = reference.slice(1, -1);
+      return reference.startsWith('{') && newIds.has(id) ? `{${newIds.get(id)}}` : null;
+    });
+  }
+
+  /**
+   * Evaluate the expression given to an input parameter of an entry
+   * @param {string} entryId ID of the entry owning the input parameter
+   * @param {string} expression Expression text
+   * @param {string|null} dataType Data type of the input parameter (optional)
+   * @returns {*} Result converted to the data type
+   * @throws {ExpressionError} If the expression is not valid or cannot be evaluated
+   */
+  evaluateForEntry(entryId, expression, dataType = null) {
+    try {
+      return this.evaluate(expression, this._createResolver(entryId), dataType);
+    } catch (error) {
+      const displayExpression = error instanceof ExpressionError ? this.toDisplayExpression(entryId, expression) : expression;
+      if (displayExpression === expression) throw error;
+      // Report the error in the expression as shown to the user, with entries by name
+      const position = this.toDisplayExpression(entryId, expression.slice(0, error.position)).length;
+      throw new ExpressionError(error.reason, displayExpression, position);
+    }
+  }
+}
@@ -53,10 +53,90 @@ export default class FileService {
       return jsonData;
     } catch (error) {
       console.error(`[JSON Read Error] ${filePath}:`, error.message);
-      throw new Error(`Failed to read JSON file: ${filePath}`);
+      throw new Error(`Failed to read JSON file: ${filePath} (${error.message})`);
     }
   }
 
+  /**
+   * Read a local file selected by the user and parse it as JSON
+   * @param {File} file File object (e.g. from an <input type="file"> element)
+   * @return {Promise<Object>} Parsed JSON object
+   * @throws {Error} File read or parse error
+   */
+  async readLocalJsonFile(file) {
+    if (!file) {
+      throw new Error("File must be specified");
+    }
+
+    try {
+      const content = await file.text();
+      const jsonData = JSON.parse(content);
+      return jsonData;
+    } catch (error) {
+      console.error(`[JSON Read Error] ${file.name}:`, error.message);
+      throw new Error(`Failed to read JSON file: ${file.name}`);
+    }
+  }
+
+  /**
+   * Serialize data as JSON and save it as a downloaded file
+   * @param {string} fileName Name of the file to save
+   * @param {Object} data Data to serialize
+   * @throws {Error} File save error
+   */
+  saveJsonFile(fileName, data) {
+    if (!fileName) {
+      throw new Error("File name must be specified");
+    }
+
+    try {
+      const content = JSON.stringify(data, null, 2);
+      this._downloadFile(fileName, content, 'application/json');
+    } catch (error) {
+      console.error(`[JSON Save Error] ${fileName}:`, error.message);
+      throw new Error(`Failed to save JSON file: ${fileName}`);
+    }
+  }
+
+  /**
+   * Save text as a downloaded file
+   * @param {string} fileName Name of the file to save
+   * @param {string} content Text to save
+   * @param {string} mimeType MIME type of the content (default 'text/plain')
+   * @throws {Error} File save error
+   */
+  saveTextFile(fileName, content, mimeType = 'text/plain') {
+    if (!fileName) {
+      throw new Error("File name must be specified");
+    }
+
+    try {
+      this._downloadFile(fileName, content, mimeType);
+    } catch (error) {
+      console.error(`[Text Save Error] ${fileName}:`, error.message);
+      throw new Error(`Failed to save file: ${fileName}`);
+    }
+  }
+
+  /**
+   * Common file download method (private)
+   * @private
+   * @param {string} fileName Name of the file to download
+   * @param {string} content File content
+   * @param {string} mimeType MIME type of the content
+   */
+  _downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
   /**
    * Common file read method (private)
    * @private
@@ -0,0 +1,186 @@
+import { ref, readonly } from 'vue';
+
+/**
+ * History Service
+ * Records reversible operations as commands and provides undo/redo stacks
+ *
+ * A command is an object with the following properties:
+ * - label {string} Description of the operation
+ * - execute {Function} Applies the operation; called again on redo
+ * - undo {Function} Reverts the operation
+ */
+export default class HistoryService {
+  /**
+   * Constructor
+   * @param {Object} config Configuration object
+   */
+  constructor(config) {
+    // Maximum number of steps kept in the undo stack
+    this._maxSize = config?.history?.maxSize || 100;
+    this._undoStack = [];
+    this._redoStack = [];
+    // Commands collected by the currently open transaction
+    this._transaction = null;
+    this._transactionDepth = 0;
+    // Whether a step is being undone or redone (nested commands are not recorded)
+    this._isApplying = false;
+    // Reactive summary of the stacks for UI updates
+    this._state = ref({
+      canUndo: false,
+      canRedo: false,
+      undoLabel: '',
+      redoLabel: ''
+    });
+  }
+
+  /**
+   * Update the reactive summary of the stacks
+   * @private
+   */
+  _updateState() {
+    const lastUndo = this._undoStack[this._undoStack.length - 1];
+    const lastRedo = this._redoStack[this._redoStack.length - 1];
+    this._state.value = {
+      canUndo: this._undoStack.length > 0,
+      canRedo: this._redoStack.length > 0,
+      undoLabel: lastUndo ? lastUndo.label : '',
+      redoLabel: lastRedo ? lastRedo.label : ''
+    };
+  }
+
+  /**
+   * Push a step onto the undo stack, dropping the oldest steps when the cap is exceeded
+   * @param {Object} command Command to push
+   * @private
+   */
+  _push(command) {
+    this._undoStack.push(command);
+    if (this._undoStack.length > this._maxSize) {
+      this._undoStack.splice(0, this._undoStack.length - this._maxSize);
+    }
+    this._redoStack = [];
+    this._updateState();
+  }
+
+  /**
+   * Execute a command and record it
+   * The command is not recorded when execute() returns false (the operation did nothing),
+   * or when it is run while a step is being undone or redone
+   * @param {Object} command Command to execute
+   * @returns {*} Return value of command.execute()
+   */
+  execute(command) {
+    const result = command.execute();
+    if (this._isApplying || result === false) {
+      return result;
+    }
+    if (this._transaction) {
+      this._transaction.commands.push(command);
+    } else {
+      this._push(command);
+    }
+    return result;
+  }
+
+  /**
+   * Open a transaction; commands executed until commitTransaction() form a single step
+   * Transactions can be nested, only the outermost one is recorded
+   * @param {string} label Description of the step
+   */
+  beginTransaction(label) {
+    if (this._transactionDepth === 0) {
+      this._transaction = { label, commands: [] };
+    }
+    this._transactionDepth++;
+  }
+
+  /**
+   * Close the current transaction and record its commands as a single step
+   */
+  commitTransaction() {
+    if (this._transactionDepth === 0) return;
+    this._transactionDepth--;
+    if (this._transactionDepth > 0) return;
+
+    const { label, commands } = this._transaction;
+    this._transaction = null;
+    if (commands.length === 0) return;
+    this._push({
+      label,
+      execute: () => commands.forEach(command => command.execute()),
+      undo: () => [...commands].reverse().forEach(command => command.undo())
+    });
+  }
+
+  /**
+   * Run a function inside a transaction
+   * @param {string} label Description of the step
+   * @param {Function} fn Function executing the commands of the step
+   * @returns {*} Return value of fn
+   */
+  transact(label, fn) {
+    this.beginTransaction(label);
+    try {
+      return fn();
+    } finally {
+      this.commitTransaction();
+    }
+  }
+
+  /**
+   * Undo the last step
+   * @returns {boolean} Whether a step was undone
+   */
+  undo() {
+    if (this._transactionDepth > 0 || this._undoStack.length === 0) return false;
+    const command = this._undoStack.pop();
+    this._isApplying = true;
+    try {
+      command.undo();
+    } catch (error) {
+      console.error(`[${this.constructor.name}] undo() failed: ${error.message}`);
+    } finally {
+      this._isApplying = false;
+    }
+    this._redoStack.push(command);
+    this._updateState();
+    return true;
+  }
+
+  /**
+   * Redo the last undone step
+   * @returns {boolean} Whether a step was redone
+   */
+  redo() {
+    if (this._transactionDepth > 0 || this._redoStack.length === 0) return false;
+    const command = this._redoStack.pop();
+    this._isApplying = true;
+    try {
+      command.execute();
+    } catch (error) {
+      console.error(`[${this.constructor.name}] redo() failed: ${error.message}`);
+    } finally {
+      this._isApplying = false;
+    }
+    this._undoStack.push(command);
+    this._updateState();
+    return true;
+  }
+
+  /**
+   * Clear both stacks
+   */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._updateState();
+  }
+
+  /**
+   * Get the reactive summary of the stacks
+   * @returns {Object} Readonly reactive reference to { canUndo, canRedo, undoLabel, redoLabel }
+   */
+  getState() {
+    return readonly(this._state);
+  }
+}
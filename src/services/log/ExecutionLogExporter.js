@@ -0,0 +1,283 @@
+import ExecutionStatus from '../script_execution/ExecutionStatus';
+import ExecutionResult from './ExecutionResult';
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  'executionId', 'parentExecutionId', 'depth', 'startTime', 'entryId', 'entryName', 'entryType',
+  'status', 'execTime', 'waitTime', 'inputParams', 'outputParams', 'errorMessage'
+];
+
+/**
+ * Execution Log Exporter
+ * Converts the execution tree of ExecutionLogService to files:
+ * - JSON: nested executions
+ * - CSV: one row per execution with a parent column
+ * - JUnit XML: containers and loop iterations become test suites, blocks become test cases
+ */
+export default class ExecutionLogExporter {
+  /**
+   * Constructor
+   * @param {ExecutionLogService} executionLogService Execution log service instance
+   */
+  constructor(executionLogService) {
+    this.executionLogService = executionLogService;
+  }
+
+  /**
+   * Get the root executions to export, oldest first
+   * @param {string|Array<string>|null} rootExecutionIds Execution IDs of root executions, or null for all
+   * @returns {Array<Object>} Root executions
+   * @throws {Error} If a root execution is not found
+   * @private
+   */
+  _getRoots(rootExecutionIds) {
+    const roots = this.executionLogService.getLogs().value.rootExecutions;
+    if (!rootExecutionIds || rootExecutionIds.length === 0) {
+      return [...roots];
+    }
+    const ids = Array.isArray(rootExecutionIds) ? rootExecutionIds : [rootExecutionIds];
+    const missingId = ids.find(id => !roots.some(execution => execution.executionId === id));
+    if (missingId) {
+      throw new Error(`Execution "${missingId}" not found in the log`);
+    }
+    return roots.filter(execution => ids.includes(execution.executionId));
+  }
+
+  /**
+   * Get the child executions of an execution
+   * @param {Object} execution Execution log entry
+   * @returns {Array<Object>} Child executions in start order
+   * @private
+   */
+  _getChildren(execution) {
+    return this.executionLogService.getLogs().value.executionsByParent[execution.executionId] || [];
+  }
+
+  /**
+   * Convert a timestamp to an ISO 8601 string
+   * @param {Date|string|null} timestamp Timestamp of the log
+   * @returns {string|null} ISO 8601 string
+   * @private
+   */
+  _toIsoString(timestamp) {
+    return timestamp ? new Date(timestamp).toISOString() : null;
+  }
+
+  /**
+   * Convert an execution and its descendants to a plain object
+   * @param {Object} execution Execution log entry
+   * @returns {Object} Nested execution
+   * @private
+   */
+  _toJsonNode(execution) {
+    return {
+      executionId: execution.executionId,
+      parentExecutionId: execution.parentExecutionId,
+      entryId: execution.entryId,
+      entryName: execution.entryName,
+      entryType: execution.entryType,
+      status: execution.status,
+      startTime: this._toIsoString(execution.timestamp),
+      execTime: execution.execTime,
+      waitTime: execution.waitTime ?? null,
+      inputParams: { ...(execution.inputParams || {}) },
+      outputParams: ExecutionResult.getOutputParams(execution.result),
+      errorMessage: execution.result?.errorMessage ?? null,
+      children: this._getChildren(execution).map(child => this._toJsonNode(child))
+    };
+  }
+
+  /**
+   * Export the execution log as nested JSON
+   * @param {string|Array<string>|null} rootExecutionIds Execution IDs of root executions, or null for all (optional)
+   * @returns {Object} JSON document
+   */
+  toJson(rootExecutionIds = null) {
+    return {
+      format: 'execution-log',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      executions: this._getRoots(rootExecutionIds).map(execution => this._toJsonNode(execution))
+    };
+  }
+
+  /**
+   * Escape a value for a CSV field
+   * @param {any} value Field value
+   * @returns {string} CSV field
+   * @private
+   */
+  _toCsvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Export the execution log as CSV
+   * Executions are listed depth first; parentExecutionId and depth give the hierarchy
+   * @param {string|Array<string>|null} rootExecutionIds Execution IDs of root executions, or null for all (optional)
+   * @returns {string} CSV text
+   */
+  toCsv(rootExecutionIds = null) {
+    const lines = [CSV_COLUMNS.join(',')];
+    const addRows = (execution, depth) => {
+      const row = {
+        executionId: execution.executionId,
+        parentExecutionId: execution.parentExecutionId,
+        depth,
+        startTime: this._toIsoString(execution.timestamp),
+        entryId: execution.entryId,
+        entryName: execution.entryName,
+        entryType: execution.entryType,
+        status: execution.status,
+        execTime: typeof execution.execTime === 'number' ? execution.execTime.toFixed(3) : null,
+        waitTime: typeof execution.waitTime === 'number' ? execution.waitTime.toFixed(3) : null,
+        inputParams: execution.inputParams || {},
+        outputParams: ExecutionResult.getOutputParams(execution.result),
+        errorMessage: execution.result?.errorMessage
+      };
+      lines.push(CSV_COLUMNS.map(column => this._toCsvField(row[column])).join(','));
+      this._getChildren(execution).forEach(child => addRows(child, depth + 1));
+    };
+    this._getRoots(rootExecutionIds).forEach(execution => addRows(execution, 0));
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Escape text for XML content and attribute values
+   * @param {any} value Value to escape
+   * @returns {string} Escaped text
+   * @private
+   */
+  _escapeXml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Format an execution time for JUnit (seconds)
+   * @param {number|null} execTime Execution time in milliseconds
+   * @returns {string} Time in seconds with 3 decimals
+   * @private
+   */
+  _toSeconds(execTime) {
+    return ((Number(execTime) || 0) / 1000).toFixed(3);
+  }
+
+  /**
+   * Collect the test suites of an execution tree
+   * Every container and iteration with block children becomes a suite named by its path,
+   * so that suites are not nested (nested suites are not supported by most test dashboards)
+   * @param {Object} execution Execution log entry
+   * @param {Array<string>} path Names of the enclosing containers
+   * @param {Array<Object>} suites Suites to add to ({ name, execution, blocks })
+   * @private
+   */
+  _collectSuites(execution, path, suites) {
+    if (execution.entryType === 'block') {
+      // A run of a single block is reported in a suite of its own
+      suites.push({ name: execution.entryName, execution, blocks: [execution] });
+      return;
+    }
+    const suitePath = [...path, execution.entryName];
+    const children = this._getChildren(execution);
+    const blocks = children.filter(child => child.entryType === 'block');
+    if (blocks.length > 0) {
+      suites.push({ name: suitePath.join(' / '), execution, blocks });
+    }
+    children
+      .filter(child => child.entryType !== 'block')
+      .forEach(child => this._collectSuites(child, suitePath, suites));
+  }
+
+  /**
+   * Build the JUnit XML element of a block execution
+   * @param {Object} execution Block execution
+   * @param {string} className Name of the suite, used as class name
+   * @returns {string} testcase element
+   * @private
+   */
+  _toTestCase(execution, className) {
+    const attributes = `name="${this._escapeXml(execution.entryName)}" classname="${this._escapeXml(className)}" time="${this._toSeconds(execution.execTime)}"`;
+    const message = execution.result?.errorMessage || '';
+    let outcome = '';
+    switch (execution.status) {
+      case ExecutionStatus.FAILED:
+        outcome = `      <failure message="${this._escapeXml(message || 'Execution failed')}" type="failed"/>\n`;
+        break;
+      case ExecutionStatus.TIMEOUT:
+        outcome = `      <failure message="${this._escapeXml(message || 'Execution timed out')}" type="timeout"/>\n`;
+        break;
+      case ExecutionStatus.CANCELLED:
+        outcome = `      <error message="${this._escapeXml(message || 'Execution cancelled')}" type="cancelled"/>\n`;
+        break;
+      case ExecutionStatus.SKIPPED:
+        outcome = '      <skipped/>\n';
+        break;
+      case ExecutionStatus.RUNNING:
+        outcome = '      <skipped message="Still running when exported"/>\n';
+        break;
+    }
+    const output = `Input: ${JSON.stringify(execution.inputParams || {})}\nOutput: ${JSON.stringify(ExecutionResult.getOutputParams(execution.result))}`;
+    return `    <testcase ${attributes}>\n${outcome}      <system-out>${this._escapeXml(output)}</system-out>\n    </testcase>\n`;
+  }
+
+  /**
+   * Export the execution log as JUnit XML
+   * @param {string|Array<string>|null} rootExecutionIds Execution IDs of root executions, or null for all (optional)
+   * @returns {string} XML text
+   */
+  toJUnitXml(rootExecutionIds = null) {
+    const roots = this._getRoots(rootExecutionIds);
+    const suites = [];
+    roots.forEach(execution => this._collectSuites(execution, [], suites));
+
+    const countOf = (blocks, statuses) => blocks.filter(block => statuses.includes(block.status)).length;
+    // Nested suites run within their root execution, so the total time is that of the roots
+    const totals = { tests: 0, failures: 0, errors: 0, skipped: 0, time: roots.reduce((sum, execution) => sum + (Number(execution.execTime) || 0), 0) };
+    const suiteElements = suites.map(suite => {
+      const tests = suite.blocks.length;
+      const failures = countOf(suite.blocks, [ExecutionStatus.FAILED, ExecutionStatus.TIMEOUT]);
+      const errors = countOf(suite.blocks, [ExecutionStatus.CANCELLED]);
+      const skipped = countOf(suite.blocks, [ExecutionStatus.SKIPPED, ExecutionStatus.RUNNING]);
+      totals.tests += tests;
+      totals.failures += failures;
+      totals.errors += errors;
+      totals.skipped += skipped;
+      const attributes = [
+        `name="${this._escapeXml(suite.name)}"`,
+        `id="${this._escapeXml(suite.execution.executionId)}"`,
+        `tests="${tests}"`,
+        `failures="${failures}"`,
+        `errors="${errors}"`,
+        `skipped="${skipped}"`,
+        `time="${this._toSeconds(suite.execution.execTime)}"`,
+        `timestamp="${this._escapeXml(this._toIsoString(suite.execution.timestamp) || '')}"`
+      ].join(' ');
+      const testCases = suite.blocks.map(block => this._toTestCase(block, suite.name)).join('');
+      return `  <testsuite ${attributes}>\n${testCases}  </testsuite>\n`;
+    });
+
+    const rootAttributes = `name="Execution log" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}" time="${this._toSeconds(totals.time)}"`;
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<testsuites ${rootAttributes}>\n${suiteElements.join('')}</testsuites>\n`;
+  }
+
+  /**
+   * Build the name of an export file
+   * @param {string} format Export format ('json', 'csv' or 'junit')
+   * @param {Date} date Date of the export (optional)
+   * @returns {string} File name (e.g. "execution-log-20240102-030405.csv")
+   */
+  getFileName(format, date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+      `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    const extension = format === 'junit' ? 'xml' : format;
+    return `execution-log-${stamp}${format === 'junit' ? '-junit' : ''}.${extension}`;
+  }
+}
@@ -1,23 +1,160 @@
 import { ref, readonly } from 'vue';
+import ExecutionStatus from '../script_execution/ExecutionStatus';
+import IndexedDBLogStore from './IndexedDBLogStore';
+
+// Milliseconds of a day, for the retention period
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Execution Log Service
  * Manages execution history for entry executions (Block or Container)
+ * When persistence is enabled, each finished run is also stored in IndexedDB
+ * and older runs can be loaded back page by page
  */
 export default class ExecutionLogService {
   /**
    * Constructor
+   * @param {Object} config Application configuration (optional)
    */
-  constructor() {
+  constructor(config = null) {
     // Hierarchical structure of execution logs
     this._executionsTree = ref({
       rootExecutions: [], // Top-level executions
       executionsByParent: {} // Dictionary of execution IDs and their parent IDs
     });
     // Maximum number of logs to keep
-    this._maxLogs = 1000;
+    this._maxLogs = config?.log?.maxLogs ?? 1000;
     // Number of logs to remove in batch when cleanup is triggered
     this._cleanupBatchSize = 100;
+    // Whether stored runs older than the loaded ones exist, and whether a page is being loaded
+    this._pagingState = ref({ hasOlderRuns: false, loading: false });
+    // Persistent store of the runs (null when persistence is disabled)
+    this._store = null;
+    this._storeReady = Promise.resolve();
+
+    const persistence = config?.log?.persistence;
+    if (persistence?.enabled) {
+      if (IndexedDBLogStore.isAvailable()) {
+        this._store = new IndexedDBLogStore(persistence.databaseName || 'execution-logs');
+        this._retention = {
+          maxAge: (persistence.maxAgeDays || 0) * DAY_MS,
+          maxRuns: persistence.maxRuns || 0
+        };
+        this._pageSize = persistence.pageSize || 20;
+        this._storeReady = this._initStore();
+      } else {
+        console.warn(`[${this.constructor.name}] IndexedDB is not available, execution logs are not persisted`);
+      }
+    }
+  }
+
+  /**
+   * Open the persistent store, apply the retention policy and load the newest runs
+   * Persistence is disabled when the store cannot be opened
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _initStore() {
+    try {
+      await this._store.open();
+      await this._store.applyRetention(this._retention);
+      this._pagingState.value.hasOlderRuns = true;
+      await this._loadPage();
+    } catch (error) {
+      console.error(`[${this.constructor.name}] Persistence disabled: ${error.message}`);
+      this._store = null;
+      this._pagingState.value.hasOlderRuns = false;
+    }
+  }
+
+  /**
+   * Build the stored record of a run
+   * @param {Object} rootExecution Root execution log
+   * @returns {Object} Plain record with the root execution and its descendants
+   * @private
+   */
+  _toRecord(rootExecution) {
+    const tree = this._executionsTree.value;
+    const executionsByParent = {};
+    const collect = (executionId) => {
+      const children = tree.executionsByParent[executionId];
+      if (!children) return;
+      executionsByParent[executionId] = children;
+      children.forEach(child => collect(child.executionId));
+    };
+    collect(rootExecution.executionId);
+    // Serialized to drop reactive proxies and values that IndexedDB cannot clone
+    return JSON.parse(JSON.stringify({
+      executionId: rootExecution.executionId,
+      timestamp: new Date(rootExecution.timestamp).getTime(),
+      root: rootExecution,
+      executionsByParent
+    }));
+  }
+
+  /**
+   * Restore the execution logs of a stored run
+   * @param {Object} record Stored record
+   * @returns {Object} Root execution and child executions by parent ID ({ root, executionsByParent })
+   * @private
+   */
+  _fromRecord(record) {
+    const revive = execution => ({ ...execution, timestamp: new Date(execution.timestamp) });
+    const executionsByParent = {};
+    Object.entries(record.executionsByParent || {}).forEach(([parentId, children]) => {
+      executionsByParent[parentId] = children.map(revive);
+    });
+    return { root: revive(record.root), executionsByParent };
+  }
+
+  /**
+   * Store a finished run and apply the retention policy
+   * @param {Object} rootExecution Root execution log
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _persistRun(rootExecution) {
+    try {
+      await this._storeReady;
+      if (!this._store) return;
+      await this._store.saveRun(this._toRecord(rootExecution));
+      await this._store.applyRetention(this._retention);
+    } catch (error) {
+      console.error(`[${this.constructor.name}] Failed to store run ${rootExecution.executionId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the page of stored runs that precede the oldest loaded run
+   * @returns {Promise<number>} Number of runs added to the log
+   * @private
+   */
+  async _loadPage() {
+    const state = this._pagingState.value;
+    if (!this._store || state.loading || !state.hasOlderRuns) {
+      return 0;
+    }
+    state.loading = true;
+    try {
+      const tree = this._executionsTree.value;
+      const oldest = tree.rootExecutions[0];
+      const before = oldest ? new Date(oldest.timestamp).getTime() : null;
+      const loadedIds = new Set(tree.rootExecutions.map(execution => execution.executionId));
+      const records = await this._store.loadRuns(before, this._pageSize, loadedIds);
+      // Records are newest first, the log keeps the oldest run first
+      const runs = records
+        .reverse()
+        .map(record => this._fromRecord(record));
+      runs.forEach(run => Object.assign(tree.executionsByParent, run.executionsByParent));
+      tree.rootExecutions.unshift(...runs.map(run => run.root));
+      state.hasOlderRuns = records.length >= this._pageSize;
+      return runs.length;
+    } catch (error) {
+      console.error(`[${this.constructor.name}] Failed to load older runs: ${error.message}`);
+      return 0;
+    } finally {
+      state.loading = false;
+    }
   }
 
   /**
@@ -91,6 +228,10 @@ export default class ExecutionLogService {
       removedExecutions.forEach(exec => {
         this._removeExecution(exec.executionId);
       });
+      // Stored runs are only removed from memory and can be loaded again
+      if (this._store) {
+        this._pagingState.value.hasOlderRuns = true;
+      }
     }
   }
 
@@ -104,6 +245,12 @@ export default class ExecutionLogService {
         rootExecutions: [],
         executionsByParent: {}
       };
+      this._pagingState.value.hasOlderRuns = false;
+      if (this._store) {
+        this._storeReady
+          .then(() => this._store?.clear())
+          .catch(error => console.error(`[${this.constructor.name}] Failed to clear stored runs: ${error.message}`));
+      }
     } catch (error) {
       console.error(`[${this.constructor.name}] clearLogs() failed: ${error.message}`);
     }
@@ -118,6 +265,31 @@ export default class ExecutionLogService {
     return readonly(this._executionsTree);
   }
 
+  /**
+   * Get the paging state of the stored runs
+   * @returns {Object} Readonly reactive reference to { hasOlderRuns, loading }
+   */
+  getPagingState() {
+    return readonly(this._pagingState);
+  }
+
+  /**
+   * Check whether the runs are stored across reloads
+   * @returns {boolean} True if persistence is enabled and available
+   */
+  isPersistent() {
+    return this._store !== null;
+  }
+
+  /**
+   * Load the next page of stored runs older than the loaded ones into the log
+   * @returns {Promise<number>} Number of runs added to the log
+   */
+  async loadOlderRuns() {
+    await this._storeReady;
+    return this._loadPage();
+  }
+
   /**
    * Add a execution log and build hierarchy structure
    * @param {Entry} entry Entry instance (Block or Container)
@@ -137,8 +309,10 @@ export default class ExecutionLogService {
         entryName: entry.name,
         entryType: entry.type,
         inputParams: inputParams,
+        status: ExecutionStatus.RUNNING,
         result: null,
         execTime: null,
+        waitTime: null,
         startTime: performance.now()
       };
 
@@ -165,6 +339,25 @@ export default class ExecutionLogService {
     }
   }
 
+  /**
+   * Mark the start of a execution that had to wait (e.g. for a free Worker)
+   * The start time and the execution time are then counted from now, and the wait is recorded separately
+   * @param {string} executionId Execution ID
+   */
+  markStarted(executionId) {
+    try {
+      const execution = this._findExecution(executionId);
+      if (execution && execution.execTime === null) {
+        const now = performance.now();
+        execution.waitTime = now - execution.startTime;
+        execution.startTime = now;
+        execution.timestamp = new Date();
+      }
+    } catch (error) {
+      console.error(`[${this.constructor.name}] markStarted() failed: ${error.message}`);
+    }
+  }
+
   /**
    * Update a execution log
    * This method is called when an entry completes execution
@@ -179,7 +372,12 @@ export default class ExecutionLogService {
       if (execution) {
         const execTime = performance.now() - execution.startTime;
         execution.result = result;
+        execution.status = result?.status || (result?.success ? ExecutionStatus.SUCCESS : ExecutionStatus.FAILED);
         execution.execTime = execTime;
+        // A run is stored when its root execution finishes
+        if (this._store && !execution.parentExecutionId) {
+          this._persistRun(execution);
+        }
       }
     } catch (error) {
       console.error(`[${this.constructor.name}] updateLog() failed: ${error.message}`);
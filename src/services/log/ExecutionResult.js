@@ -0,0 +1,23 @@
+// Result properties that are not output values
+const RESULT_META_KEYS = Object.freeze(['success', 'errorMessage', 'status']);
+
+/**
+ * Execution result helpers
+ * Results of blocks hold the output values next to success, errorMessage and status
+ */
+const ExecutionResult = Object.freeze({
+  /**
+   * Get the output values of an execution result
+   * @param {Object|null} result Execution result
+   * @returns {Object} Output values (result without success, errorMessage and status)
+   */
+  getOutputParams(result) {
+    const outputParams = {};
+    Object.entries(result || {})
+      .filter(([key]) => !RESULT_META_KEYS.includes(key))
+      .forEach(([key, value]) => { outputParams[key] = value; });
+    return outputParams;
+  }
+});
+
+export default ExecutionResult;
@@ -0,0 +1,201 @@
+import ExecutionResult from './ExecutionResult';
+
+// Relative difference of execution time reported as a change (0.2 = 20%)
+const DEFAULT_EXEC_TIME_TOLERANCE = 0.2;
+// Differences of execution time below this (ms) are never reported
+const MIN_EXEC_TIME_DIFFERENCE = 1;
+
+/**
+ * Execution Run Comparer
+ * Compares two root executions of the tree of ExecutionLogService.
+ * Executions are aligned by entryId level by level; an entry that ran several times
+ * under the same parent (e.g. loop iterations) is aligned by its occurrence.
+ *
+ * A row of the comparison has the following properties:
+ * - key {string} Unique key of the row
+ * - depth {number} Nesting level (0 for the root executions)
+ * - entryId {string} Entry ID
+ * - entryName {string} Entry name (of the right run when it differs)
+ * - entryType {string} 'block', 'container' or 'iteration'
+ * - left, right {Object|null} Executions of each run, null when the entry did not run
+ * - presence {string} 'both', 'left' (only in the left run) or 'right' (only in the right run)
+ * - params {Object} { inputParams: { left, right }, outputParams: { left, right } } values of each run
+ * - changes {Object} { status, execTime, inputParams: Array<string>, outputParams: Array<string> }
+ * - changed {boolean} True if anything changed
+ */
+export default class ExecutionRunComparer {
+  /**
+   * Constructor
+   * @param {ExecutionLogService} executionLogService Execution log service instance
+   * @param {Object} options Comparison options (optional)
+   * @param {number} options.execTimeTolerance Relative difference of execution time reported as a change
+   */
+  constructor(executionLogService, options = {}) {
+    this.executionLogService = executionLogService;
+    this.execTimeTolerance = options.execTimeTolerance ?? DEFAULT_EXEC_TIME_TOLERANCE;
+  }
+
+  /**
+   * Find a root execution in the log
+   * @param {string} rootExecutionId Execution ID of the root execution
+   * @returns {Object} Root execution
+   * @throws {Error} If the root execution is not found
+   * @private
+   */
+  _getRoot(rootExecutionId) {
+    const root = this.executionLogService.getLogs().value.rootExecutions
+      .find(execution => execution.executionId === rootExecutionId);
+    if (!root) {
+      throw new Error(`Execution "${rootExecutionId}" not found in the log`);
+    }
+    return root;
+  }
+
+  /**
+   * Get the child executions of an execution keyed for alignment
+   * @param {Object|null} execution Execution log entry
+   * @returns {Array<Object>} Children with their alignment key ({ key, execution })
+   * @private
+   */
+  _getKeyedChildren(execution) {
+    if (!execution) return [];
+    const children = this.executionLogService.getLogs().value.executionsByParent[execution.executionId] || [];
+    const occurrences = {};
+    return children.map(child => {
+      occurrences[child.entryId] = (occurrences[child.entryId] || 0) + 1;
+      return { key: `${child.entryId}#${occurrences[child.entryId]}`, execution: child };
+    });
+  }
+
+  /**
+   * Merge the aligned children of both runs, keeping the order of the left run
+   * Children only in the right run are placed after the child that precedes them in the right run
+   * @param {Array<Object>} leftChildren Keyed children of the left execution
+   * @param {Array<Object>} rightChildren Keyed children of the right execution
+   * @returns {Array<Object>} Pairs in display order ({ key, left, right })
+   * @private
+   */
+  _alignChildren(leftChildren, rightChildren) {
+    const rightByKey = new Map(rightChildren.map(child => [child.key, child.execution]));
+    const pairs = leftChildren.map(child => ({
+      key: child.key,
+      left: child.execution,
+      right: rightByKey.get(child.key) || null
+    }));
+    let insertAt = 0;
+    rightChildren.forEach(child => {
+      const index = pairs.findIndex(pair => pair.key === child.key);
+      if (index >= 0) {
+        insertAt = index + 1;
+      } else {
+        pairs.splice(insertAt, 0, { key: child.key, left: null, right: child.execution });
+        insertAt++;
+      }
+    });
+    return pairs;
+  }
+
+  /**
+   * Get the names of the values that differ between two parameter sets
+   * @param {Object} leftParams Parameters of the left execution
+   * @param {Object} rightParams Parameters of the right execution
+   * @returns {Array<string>} Names of the changed, added or removed parameters
+   * @private
+   */
+  _diffParams(leftParams, rightParams) {
+    const names = new Set([...Object.keys(leftParams || {}), ...Object.keys(rightParams || {})]);
+    return Array.from(names).filter(name => {
+      return JSON.stringify(leftParams?.[name]) !== JSON.stringify(rightParams?.[name]);
+    });
+  }
+
+  /**
+   * Check whether the execution time changed noticeably
+   * @param {number|null} leftTime Execution time of the left execution (ms)
+   * @param {number|null} rightTime Execution time of the right execution (ms)
+   * @returns {boolean} True if the difference exceeds the tolerance
+   * @private
+   */
+  _isExecTimeChanged(leftTime, rightTime) {
+    if (typeof leftTime !== 'number' || typeof rightTime !== 'number') {
+      return leftTime !== rightTime;
+    }
+    const difference = Math.abs(rightTime - leftTime);
+    return difference >= MIN_EXEC_TIME_DIFFERENCE && difference > Math.abs(leftTime) * this.execTimeTolerance;
+  }
+
+  /**
+   * Build the row of an aligned pair
+   * @param {Object} pair Aligned executions ({ key, left, right })
+   * @param {number} depth Nesting level
+   * @param {string} parentKey Key of the parent row
+   * @returns {Object} Comparison row
+   * @private
+   */
+  _buildRow(pair, depth, parentKey) {
+    const { left, right } = pair;
+    const execution = right || left;
+    const presence = left && right ? 'both' : (left ? 'left' : 'right');
+    const params = {
+      inputParams: { left: left?.inputParams || {}, right: right?.inputParams || {} },
+      outputParams: {
+        left: ExecutionResult.getOutputParams(left?.result),
+        right: ExecutionResult.getOutputParams(right?.result)
+      }
+    };
+    const changes = { status: false, execTime: false, inputParams: [], outputParams: [] };
+    if (presence === 'both') {
+      changes.status = left.status !== right.status;
+      changes.execTime = this._isExecTimeChanged(left.execTime, right.execTime);
+      changes.inputParams = this._diffParams(params.inputParams.left, params.inputParams.right);
+      changes.outputParams = this._diffParams(params.outputParams.left, params.outputParams.right);
+    }
+    return {
+      key: `${parentKey}/${pair.key}`,
+      depth,
+      entryId: execution.entryId,
+      entryName: execution.entryName,
+      entryType: execution.entryType,
+      left,
+      right,
+      presence,
+      params,
+      changes,
+      changed: presence !== 'both' || changes.status || changes.execTime ||
+        changes.inputParams.length > 0 || changes.outputParams.length > 0
+    };
+  }
+
+  /**
+   * Compare two root executions
+   * @param {string} leftRootId Execution ID of the first (usually older) run
+   * @param {string} rightRootId Execution ID of the second run
+   * @returns {Object} Comparison result:
+   *   - left, right {Object} Root executions
+   *   - rows {Array<Object>} Comparison rows in tree order
+   *   - summary {Object} { changed, onlyLeft, onlyRight, unchanged } numbers of rows
+   * @throws {Error} If a root execution is not found
+   */
+  compare(leftRootId, rightRootId) {
+    const left = this._getRoot(leftRootId);
+    const right = this._getRoot(rightRootId);
+    const rows = [];
+    const addRows = (pair, depth, parentKey) => {
+      const row = this._buildRow(pair, depth, parentKey);
+      rows.push(row);
+      this._alignChildren(this._getKeyedChildren(pair.left), this._getKeyedChildren(pair.right))
+        .forEach(child => addRows(child, depth + 1, row.key));
+    };
+    // Root executions are compared even when they are different entries
+    addRows({ key: 'root', left, right }, 0, '');
+
+    const summary = { changed: 0, onlyLeft: 0, onlyRight: 0, unchanged: 0 };
+    rows.forEach(row => {
+      if (row.presence === 'left') summary.onlyLeft++;
+      else if (row.presence === 'right') summary.onlyRight++;
+      else if (row.changed) summary.changed++;
+      else summary.unchanged++;
+    });
+    return { left, right, rows, summary };
+  }
+}
@@ -0,0 +1,175 @@
+// Version of the database schema
+const DB_VERSION = 1;
+// Object store holding one record per root execution
+const RUNS_STORE = 'runs';
+// Index of the records by start time
+const TIMESTAMP_INDEX = 'timestamp';
+
+/**
+ * IndexedDB Log Store
+ * Persists execution runs (a root execution with all its descendants) in IndexedDB
+ *
+ * A record has the following properties:
+ * - executionId {string} Execution ID of the root execution (key)
+ * - timestamp {number} Start time of the root execution in milliseconds (indexed)
+ * - root {Object} Root execution log
+ * - executionsByParent {Object} Child execution logs of the run by parent execution ID
+ */
+export default class IndexedDBLogStore {
+  /**
+   * Constructor
+   * @param {string} databaseName Name of the IndexedDB database
+   */
+  constructor(databaseName) {
+    this.databaseName = databaseName;
+    this._db = null;
+  }
+
+  /**
+   * Check whether IndexedDB can be used in this environment
+   * @returns {boolean} True if IndexedDB is available
+   */
+  static isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Wrap an IndexedDB request in a promise
+   * @param {IDBRequest} request IndexedDB request
+   * @returns {Promise<any>} Promise resolved with the result of the request
+   * @private
+   */
+  _promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<void>}
+   * @throws {Error} If the database cannot be opened
+   */
+  async open() {
+    if (this._db) return;
+    const request = indexedDB.open(this.databaseName, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(RUNS_STORE, { keyPath: 'executionId' });
+      store.createIndex(TIMESTAMP_INDEX, 'timestamp');
+    };
+    try {
+      this._db = await this._promisify(request);
+    } catch (error) {
+      throw new Error(`Failed to open the log database "${this.databaseName}": ${error?.message || error}`);
+    }
+  }
+
+  /**
+   * Get the object store of the runs in a new transaction
+   * @param {string} mode Transaction mode ('readonly' or 'readwrite')
+   * @returns {IDBObjectStore} Object store
+   * @throws {Error} If the database is not open
+   * @private
+   */
+  _getStore(mode) {
+    if (!this._db) {
+      throw new Error('The log database is not open');
+    }
+    return this._db.transaction(RUNS_STORE, mode).objectStore(RUNS_STORE);
+  }
+
+  /**
+   * Save a run, replacing a stored run with the same execution ID
+   * @param {Object} record Run record
+   * @returns {Promise<void>}
+   */
+  async saveRun(record) {
+    await this._promisify(this._getStore('readwrite').put(record));
+  }
+
+  /**
+   * Load the newest runs started at or before a time
+   * The bound is inclusive so that runs sharing the start time of an already loaded run are not lost
+   * @param {number|null} before Start time in milliseconds; runs started later are skipped (null for no limit)
+   * @param {number} limit Maximum number of runs to load
+   * @param {Set<string>} excludeIds Execution IDs of the runs already loaded, which are skipped
+   * @returns {Promise<Array<Object>>} Run records, newest first
+   */
+  loadRuns(before, limit, excludeIds = new Set()) {
+    const index = this._getStore('readonly').index(TIMESTAMP_INDEX);
+    const range = before === null ? null : IDBKeyRange.upperBound(before);
+    const request = index.openCursor(range, 'prev');
+    const records = [];
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || records.length >= limit) {
+          resolve(records);
+          return;
+        }
+        if (!excludeIds.has(cursor.value.executionId)) {
+          records.push(cursor.value);
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete the runs outside the retention policy
+   * @param {Object} policy Retention policy
+   * @param {number} policy.maxAge Maximum age of a run in milliseconds (0 to keep runs of any age)
+   * @param {number} policy.maxRuns Maximum number of runs (0 for no limit)
+   * @returns {Promise<number>} Number of deleted runs
+   */
+  applyRetention({ maxAge = 0, maxRuns = 0 } = {}) {
+    const store = this._getStore('readwrite');
+    const oldestAllowed = maxAge > 0 ? Date.now() - maxAge : null;
+    let remaining = 0;
+    let deleted = 0;
+    return new Promise((resolve, reject) => {
+      // Requests are chained in callbacks so that the transaction stays active
+      const countRequest = store.count();
+      countRequest.onerror = () => reject(countRequest.error);
+      countRequest.onsuccess = () => {
+        remaining = countRequest.result;
+        // Oldest runs first
+        const request = store.index(TIMESTAMP_INDEX).openCursor();
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          const tooOld = cursor && oldestAllowed !== null && cursor.value.timestamp < oldestAllowed;
+          const tooMany = cursor && maxRuns > 0 && remaining > maxRuns;
+          if (!tooOld && !tooMany) {
+            resolve(deleted);
+            return;
+          }
+          cursor.delete();
+          remaining--;
+          deleted++;
+          cursor.continue();
+        };
+      };
+    });
+  }
+
+  /**
+   * Delete all stored runs
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._promisify(this._getStore('readwrite').clear());
+  }
+
+  /**
+   * Close the database
+   */
+  close() {
+    if (this._db) {
+      this._db.close();
+      this._db = null;
+    }
+  }
+}
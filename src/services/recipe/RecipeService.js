@@ -0,0 +1,298 @@
+import Entry from '../../classes/Entry';
+import Variable from '../../classes/Variable';
+import ExpressionEvaluator from '../expression/ExpressionEvaluator';
+
+// Identifier written to every recipe document
+const RECIPE_FORMAT = 'vue-study-recipe';
+// Identifier written to entries copied to the clipboard
+const ENTRIES_FORMAT = 'vue-study-entries';
+// Schema version of recipe documents written by this service
+const CURRENT_SCHEMA_VERSION = 1;
+
+/**
+ * Recipe Service
+ * Serializes the entry tree, its input parameters and variables into a versioned JSON document,
+ * and migrates documents saved with older schema versions to the current one
+ */
+export default class RecipeService {
+  /**
+   * Constructor
+   * @param {EntryManager} entryManager Entry manager instance
+   * @param {EntryParamManager} entryParamManager Entry parameter manager instance
+   * @param {EntryConnectionManager} entryConnectionManager Entry connection manager instance
+   */
+  constructor(entryManager, entryParamManager, entryConnectionManager) {
+    this.entryManager = entryManager;
+    this.entryParamManager = entryParamManager;
+    this.entryConnectionManager = entryConnectionManager;
+    // Dictionary of schema versions and functions migrating a document to the next version
+    this._migrations = new Map();
+    // Functions applied to every block node of a loaded document
+    this._blockMigrations = [];
+    // Rewrites the entry IDs in the expressions of copied entries
+    this._expressionEvaluator = new ExpressionEvaluator();
+  }
+
+  /**
+   * Current schema version of recipe documents
+   * @return {number} Schema version
+   */
+  static get schemaVersion() {
+    return CURRENT_SCHEMA_VERSION;
+  }
+
+  /**
+   * Register a migration hook that upgrades a document by one schema version
+   * @param {number} fromVersion Schema version the migration applies to
+   * @param {Function} migrate Function receiving a document of fromVersion and returning one of fromVersion + 1
+   */
+  registerMigration(fromVersion, migrate) {
+    this._migrations.set(fromVersion, migrate);
+  }
+
+  /**
+   * Register a migration hook applied to every block node when a document is loaded
+   * Use this to follow changes of BlockDefinitions.json (e.g. renamed blocks or parameters)
+   * @param {Function} migrate Function receiving a block node and returning the migrated node
+   */
+  registerBlockMigration(migrate) {
+    this._blockMigrations.push(migrate);
+  }
+
+  /**
+   * Serialize an entry and all its descendants
+   * @param {Entry} entry Entry to serialize (Block or Container)
+   * @return {Object} Serialized entry node
+   */
+  serializeEntry(entry) {
+    if (entry.type === 'container') {
+      return {
+        type: 'container',
+        id: entry.id,
+        name: entry.name,
+        inputParams: { ...this.entryParamManager.getInputParams(entry.id) },
+        inputBindings: { ...this.entryParamManager.getInputBindings(entry.id) },
+        inputExpressions: { ...this.entryParamManager.getInputExpressions(entry.id) },
+        errorPolicy: { ...entry.errorPolicy },
+        parallelism: { ...entry.parallelism },
+        variables: this.serializeVariables(entry),
+        view: { ...entry.view },
+        children: entry.children.map(child => this.serializeEntry(child))
+      };
+    }
+    return {
+      type: entry.type,
+      id: entry.id,
+      name: entry.name,
+      inputParams: { ...this.entryParamManager.getInputParams(entry.id) },
+      inputBindings: { ...this.entryParamManager.getInputBindings(entry.id) },
+      inputExpressions: { ...this.entryParamManager.getInputExpressions(entry.id) }
+    };
+  }
+
+  /**
+   * Serialize the variables declared in the scope of a container
+   * @param {Container} container Container declaring the variables
+   * @return {Array<Object>} Serialized variables ({ name, dataType, value })
+   */
+  serializeVariables(container) {
+    return (container.variables || []).map(({ name, dataType, value }) => ({ name, dataType, value }));
+  }
+
+  /**
+   * Serialize the connections between entries of a subtree
+   * Connections with an endpoint outside the subtree are not included
+   * @param {Array<string>} entryIds IDs of the entries in the subtree
+   * @return {Array<Object>} Serialized connections
+   */
+  serializeConnections(entryIds) {
+    const ids = new Set(entryIds);
+    return this.entryConnectionManager.getConnections()
+      .filter(connection => ids.has(connection.sourceEntryId) && ids.has(connection.targetEntryId))
+      .map(({ sourceEntryId, sourceParamName, targetEntryId, targetParamName }) => ({
+        sourceEntryId,
+        sourceParamName,
+        targetEntryId,
+        targetParamName
+      }));
+  }
+
+  /**
+   * Serialize the entry tree under a root container into a recipe document
+   * @param {string} rootId ID of the root container (e.g. the MainArea container)
+   * @return {Object} Recipe document
+   * @throws {Error} If the root container does not exist
+   */
+  serialize(rootId) {
+    const root = this.entryManager.findContainerById(rootId);
+    if (!root) {
+      throw new Error(`Root container not found: ${rootId}`);
+    }
+    const children = root.children.map(child => this.serializeEntry(child));
+    return {
+      format: RECIPE_FORMAT,
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      savedAt: new Date().toISOString(),
+      blockDefinitions: this._collectBlockNames(children),
+      // Variables of the root container are the parameters of the whole recipe
+      variables: this.serializeVariables(root),
+      root: { children },
+      connections: this.serializeConnections(this.entryManager.getAllDescendantIds(rootId))
+    };
+  }
+
+  /**
+   * Serialize entries and all their descendants for the clipboard
+   * Connections between the copied entries are kept
+   * @param {Array<string>} entryIds IDs of the entries to copy
+   * @return {Object} Clipboard document ({ format, schemaVersion, entries, connections })
+   */
+  serializeEntries(entryIds) {
+    const entries = entryIds.map(id => this.entryManager.getEntry(id)).filter(Boolean);
+    const ids = entries.flatMap(entry => this.entryManager.getAllDescendantIds(entry.id));
+    return {
+      format: ENTRIES_FORMAT,
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      entries: entries.map(entry => this.serializeEntry(entry)),
+      connections: this.serializeConnections(ids)
+    };
+  }
+
+  /**
+   * Validate copied entries and give them new IDs, so that they can be inserted next to the originals
+   * @param {Object} data Parsed clipboard document (see serializeEntries)
+   * @return {Object} Clipboard document whose entries and connections use new IDs
+   * @throws {Error} If the data is not copied entries or comes from a newer schema version
+   */
+  parseEntries(data) {
+    if (!data || data.format !== ENTRIES_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('Not copied entries');
+    }
+    const version = Number(data.schemaVersion) || 1;
+    if (version > CURRENT_SCHEMA_VERSION) {
+      throw new Error(`Copied entries use schema version ${version}, newer than supported version ${CURRENT_SCHEMA_VERSION}`);
+    }
+    // Dictionary of copied IDs and new IDs
+    const newIds = new Map();
+    const renew = (node) => {
+      const id = Entry.generateUUID();
+      newIds.set(node.id, id);
+      if (node.type === 'container') {
+        return { ...node, id, children: (node.children || []).map(renew) };
+      }
+      return { ...node, id };
+    };
+    // Expressions of the copies refer to the copies of entries copied with them
+    const remapExpressions = (node) => {
+      const inputExpressions = {};
+      Object.entries(node.inputExpressions || {}).forEach(([paramName, expression]) => {
+        inputExpressions[paramName] = this._expressionEvaluator.replaceEntryIds(expression, newIds);
+      });
+      if (node.type === 'container') {
+        return { ...node, inputExpressions, children: node.children.map(remapExpressions) };
+      }
+      return { ...node, inputExpressions };
+    };
+    const entries = data.entries.map(node => renew(this._migrateNode(node))).map(remapExpressions);
+    const connections = (Array.isArray(data.connections) ? data.connections : [])
+      .filter(connection => newIds.has(connection.sourceEntryId) && newIds.has(connection.targetEntryId))
+      .map(connection => ({
+        ...connection,
+        sourceEntryId: newIds.get(connection.sourceEntryId),
+        targetEntryId: newIds.get(connection.targetEntryId)
+      }));
+    return { ...data, entries, connections };
+  }
+
+  /**
+   * Validate a recipe document and migrate it to the current schema version
+   * @param {Object} data Parsed recipe document
+   * @return {Object} Recipe document conforming to the current schema version
+   * @throws {Error} If the document is not a recipe or cannot be migrated
+   */
+  parse(data) {
+    if (!data || data.format !== RECIPE_FORMAT) {
+      throw new Error('Not a recipe document');
+    }
+    let doc = data;
+    let version = Number(doc.schemaVersion) || 1;
+    if (version > CURRENT_SCHEMA_VERSION) {
+      throw new Error(`Recipe schema version ${version} is newer than supported version ${CURRENT_SCHEMA_VERSION}`);
+    }
+    // Apply schema migrations one version at a time
+    while (version < CURRENT_SCHEMA_VERSION) {
+      const migrate = this._migrations.get(version);
+      if (!migrate) {
+        throw new Error(`No migration registered for recipe schema version ${version}`);
+      }
+      doc = migrate(doc);
+      version++;
+      doc.schemaVersion = version;
+    }
+    if (!doc.root || !Array.isArray(doc.root.children)) {
+      throw new Error('Recipe document has no root entries');
+    }
+    doc.root.children = doc.root.children.map(node => this._migrateNode(node));
+    doc.connections = Array.isArray(doc.connections) ? doc.connections : [];
+    doc.variables = this._validateVariables(doc.variables);
+    return doc;
+  }
+
+  /**
+   * Keep the serialized variables the editor would accept
+   * Variables with an invalid or repeated name are dropped, and values are converted to the data type
+   * @param {Array<Object>} variables Serialized variables ({ name, dataType, value })
+   * @return {Array<Object>} Valid variables
+   * @private
+   */
+  _validateVariables(variables) {
+    if (!Array.isArray(variables)) return [];
+    const names = new Set();
+    const valid = [];
+    for (const variable of variables) {
+      if (!variable || !Variable.isValidName(variable.name) || names.has(variable.name)) {
+        console.warn(`Ignored invalid or duplicate variable: ${JSON.stringify(variable)}`);
+        continue;
+      }
+      names.add(variable.name);
+      const dataType = Variable.dataTypes.includes(variable.dataType) ? variable.dataType : 'string';
+      valid.push({ name: variable.name, dataType, value: Variable.coerceValue(dataType, variable.value) });
+    }
+    return valid;
+  }
+
+  /**
+   * Apply block migration hooks to a node and its descendants
+   * @param {Object} node Serialized entry node
+   * @return {Object} Migrated node
+   * @private
+   */
+  _migrateNode(node) {
+    if (node.type === 'container') {
+      return {
+        ...node,
+        variables: this._validateVariables(node.variables),
+        children: (node.children || []).map(child => this._migrateNode(child))
+      };
+    }
+    return this._blockMigrations.reduce((migrated, migrate) => migrate(migrated), node);
+  }
+
+  /**
+   * Collect unique block definition names used by serialized nodes
+   * @param {Array<Object>} nodes Serialized entry nodes
+   * @param {Set<string>} names Set to add names to (optional)
+   * @return {Array<string>} Block definition names
+   * @private
+   */
+  _collectBlockNames(nodes, names = new Set()) {
+    nodes.forEach(node => {
+      if (node.type === 'container') {
+        this._collectBlockNames(node.children, names);
+      } else {
+        names.add(node.name);
+      }
+    });
+    return Array.from(names);
+  }
+}
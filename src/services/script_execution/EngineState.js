@@ -0,0 +1,12 @@
+/**
+ * Script engine state values
+ * Reported by the engine registry for each registered engine
+ */
+const EngineState = Object.freeze({
+  IDLE: 'idle',          // Registered but not used yet (or terminated)
+  STARTING: 'starting',  // Worker is being initialized
+  READY: 'ready',        // Worker answered the init message
+  DISABLED: 'disabled'   // Worker failed to start or crashed
+});
+
+export default EngineState;
@@ -0,0 +1,14 @@
+/**
+ * Execution status values
+ * Recorded in execution results and execution logs
+ */
+const ExecutionStatus = Object.freeze({
+  RUNNING: 'running',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  TIMEOUT: 'timeout',
+  SKIPPED: 'skipped'
+});
+
+export default ExecutionStatus;
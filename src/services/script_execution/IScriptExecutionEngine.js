@@ -13,13 +13,40 @@ export default class IScriptExecutionEngine {
   
   /**
    * Execute script
-   * @param {string} scriptName Script file name
+   * @param {string} scriptName Script identifier (path relative to a script directory, without extension)
    * @param {Object} inputParams Input parameters
+   * @param {Object} options Execution options such as timeout and onStart (optional)
    * @return {Promise<Object>} Execution result object
    */
   async executeScript() {
     throw new Error("Method 'executeScript' must be implemented");
   }
+
+  /**
+   * Cancel running executions
+   * Pending executions must be rejected with an error whose status is 'cancelled'
+   */
+  cancel() {
+    throw new Error("Method 'cancel' must be implemented");
+  }
+  
+  /**
+   * Get the health of the engine
+   * @return {Object} Health of the engine:
+   *   - state {string} Engine state (see EngineState)
+   *   - message {string} Reason of the state (e.g. the error that disabled the engine)
+   */
+  getHealth() {
+    throw new Error("Method 'getHealth' must be implemented");
+  }
+
+  /**
+   * Restart the engine (e.g. after it has been disabled by a Worker crash)
+   * Running executions are cancelled
+   */
+  restart() {
+    throw new Error("Method 'restart' must be implemented");
+  }
   
   /**
    * Engine termination process (including Worker termination)
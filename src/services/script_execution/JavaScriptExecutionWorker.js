@@ -1,5 +1,7 @@
-// Global variable
-//let scriptsDirPath = '';
+import ScriptLocator from './ScriptLocator';
+
+// Resolves script identifiers to URLs (set by the init message)
+let scriptLocator = null;
 
 /**
  * Send error message to main thread
@@ -18,23 +20,24 @@ function sendErrorToMain(errorMessage) {
 
 /**
  * Initialization message handler
- * Currently unused - This handler is not being used in the current implementation.
+ * 
+ * Receives the script directories and answers with an 'initialized' message.
+ * Execute messages are only sent by the main thread after this handshake.
  * 
  * @param {Object} data Message data containing configuration
+ * @param {Array<string>} data.scriptsDirs Script directory URL paths, searched in order
  * @returns {Promise<void>}
  */
-// async function handleInitMessage(data) {
-//   try {
-//     // Set script directory path
-//     const { scriptsDir } = data;
-//     if (scriptsDir) scriptsDirPath = scriptsDir;
+async function handleInitMessage(data) {
+  try {
+    scriptLocator = new ScriptLocator(data.scriptsDirs);
     
-//     // Send initialization complete message
-//     self.postMessage({ type: 'initialized' });
-//   } catch (error) {
-//     throw new Error(`Worker initialization failed: ${error.message}`);
-//   }
-// }
+    // Send initialization complete message
+    self.postMessage({ type: 'initialized' });
+  } catch (error) {
+    throw new Error(`Worker initialization failed: ${error.message}`);
+  }
+}
 
 /**
  * Script execution message handler
@@ -45,7 +48,7 @@ function sendErrorToMain(errorMessage) {
  * 
  * @param {Object} data Message data containing execution parameters
  * @param {string} data.id Execution request ID
- * @param {string} data.scriptkName Name of the script file to execute
+ * @param {string} data.scriptName Identifier of the script to execute (e.g. "Add" or "text/Join")
  * @param {Object} data.inputParams Input parameters for the script
  * @returns {Promise<void>}
  */
@@ -55,13 +58,13 @@ async function handleExecuteMessage(data) {
   console.log(`Worker executing script: ${scriptName} with`, inputParams);
 
   try {
+    if (!scriptLocator) {
+      throw new Error('Worker has not been initialized');
+    }
     // Dynamically import the script module as an ES module
-    // IMPORTANT: Must use template literals (`/path/${var}`) for dynamic imports with Webpack.
-    // Storing the path in a variable first will cause module resolution errors.
-    // The directory structure must remain static, only the filename should be dynamic.     
-    //const scriptFilePath = `${scriptsDirPath}${scriptsDirPath.endsWith('/') ? '' : '/'}${scriptName}.js`;
-    //const scriptModule = await import(scriptFilePath);
-    const scriptModule = await import(`/public/scripts/${scriptName}.js`);
+    // The scripts are served as static files, so webpack must leave the import to the browser
+    const scriptUrl = await scriptLocator.resolve(scriptName);
+    const scriptModule = await import(/* webpackIgnore: true */ scriptUrl);
     
     // Verify that the module exports an execute function
     if (typeof scriptModule.execute !== 'function') {
@@ -102,9 +105,9 @@ self.onmessage = async function(e) {
     
     // Delegate to appropriate handler based on message type
     switch (type) {
-      // case 'init':
-      //   await handleInitMessage(e.data);
-      //   break;
+      case 'init':
+        await handleInitMessage(e.data);
+        break;
       case 'execute':
         await handleExecuteMessage(e.data);
         break;
@@ -0,0 +1,60 @@
+import WorkerExecutionEngine from './WorkerExecutionEngine';
+
+// Loading Pyodide (WebAssembly runtime and standard library) takes much longer than starting a JavaScript Worker
+const PYODIDE_INIT_TIMEOUT = 60000;
+
+/**
+ * Python script execution engine
+ * Runs the execute function of .py scripts with Pyodide in a dedicated Worker
+ */
+export default class PythonExecutionEngine extends WorkerExecutionEngine {
+  /**
+   * Constructor
+   * @param {Array<string>|string} scriptsDirs Script directory URL paths, searched in order
+   * @param {Object} options Engine options (optional)
+   * @param {string} options.pyodideIndexUrl URL of the directory containing the Pyodide files
+   * @param {number} options.workerPoolSize Maximum number of Workers (each one loads its own Pyodide)
+   * 
+   * @example
+   * const engine = new PythonExecutionEngine(['/scripts'], { pyodideIndexUrl: '/pyodide/' });
+   */
+  constructor(scriptsDirs = [], options = {}) {
+    super(scriptsDirs, '.py', {
+      workerInitTimeout: PYODIDE_INIT_TIMEOUT,
+      workerPoolSize: options.workerPoolSize
+    });
+    const indexUrl = options.pyodideIndexUrl || '/pyodide/';
+    this.pyodideIndexUrl = indexUrl.endsWith('/') ? indexUrl : `${indexUrl}/`;
+  }
+
+  /**
+   * Create Module Worker dedicated to Python engine
+   * @return {Worker} Worker instance
+   * @protected
+   */
+  _createWorker() {
+    return new Worker(new URL('./PythonExecutionWorker.js', import.meta.url), { type: 'module' });
+  }
+
+  /**
+   * Get the init message sent to the Worker
+   * @return {Object} Init message including the location of Pyodide
+   * @protected
+   */
+  _getInitMessage() {
+    return {
+      ...super._getInitMessage(),
+      indexURL: this.pyodideIndexUrl
+    };
+  }
+
+  /**
+   * Direct execution (fallback)
+   * Pyodide is only loaded in the Workers, so Python scripts cannot be executed without them
+   * @param {string} scriptName Script identifier
+   * @protected
+   */
+  async _executeDirectly(scriptName) {
+    throw new Error(`Cannot execute Python script "${scriptName}": the Python Worker is not available (Pyodide could not be loaded from ${this.pyodideIndexUrl})`);
+  }
+}
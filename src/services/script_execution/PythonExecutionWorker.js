@@ -0,0 +1,183 @@
+import ScriptLocator from './ScriptLocator';
+
+// Resolves script identifiers to URLs of .py files (set by the init message)
+let scriptLocator = null;
+// Pyodide instance (loaded by the init message)
+let pyodide = null;
+
+/**
+ * Send error message to main thread
+ * 
+ * Centralizes error reporting from the worker to the main thread.
+ * Used by both explicit error handlers and global error handler.
+ * 
+ * @param {string} errorMessage Error message string
+ */
+function sendErrorToMain(errorMessage) { 
+  self.postMessage({
+    type: 'error',
+    errmsg: errorMessage || 'No error message'
+  });
+}
+
+/**
+ * Initialization message handler
+ * 
+ * Loads Pyodide from the bundled files and answers with an 'initialized' message.
+ * Execute messages are only sent by the main thread after this handshake.
+ * 
+ * @param {Object} data Message data containing configuration
+ * @param {Array<string>} data.scriptsDirs Script directory URL paths, searched in order
+ * @param {string} data.indexURL URL of the directory containing the Pyodide files
+ * @returns {Promise<void>}
+ */
+async function handleInitMessage(data) {
+  try {
+    scriptLocator = new ScriptLocator(data.scriptsDirs, '.py');
+    
+    // Pyodide is served as static files, so webpack must leave the import to the browser
+    const { loadPyodide } = await import(/* webpackIgnore: true */ `${data.indexURL}pyodide.mjs`);
+    pyodide = await loadPyodide({ indexURL: data.indexURL });
+    
+    // Send initialization complete message
+    self.postMessage({ type: 'initialized' });
+  } catch (error) {
+    throw new Error(`Worker initialization failed: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a value returned by Python to a JavaScript value
+ * Python dicts become plain objects, lists become arrays
+ * 
+ * @param {any} value Value returned by Python
+ * @returns {any} JavaScript value
+ */
+function toJsValue(value) {
+  if (!(value instanceof pyodide.ffi.PyProxy)) {
+    return value;
+  }
+  try {
+    return value.toJs({ dict_converter: Object.fromEntries });
+  } finally {
+    value.destroy();
+  }
+}
+
+/**
+ * Script execution message handler
+ * 
+ * Runs the .py file in its own namespace and calls the execute function it defines.
+ * The input parameters are passed as a Python dict and the returned dict is converted to an object.
+ * 
+ * @param {Object} data Message data containing execution parameters
+ * @param {string} data.id Execution request ID
+ * @param {string} data.scriptName Identifier of the script to execute (e.g. "Power" or "stats/Mean")
+ * @param {Object} data.inputParams Input parameters for the script
+ * @returns {Promise<void>}
+ */
+async function handleExecuteMessage(data) {
+  const { id, scriptName, inputParams } = data;
+  const type = 'result';
+  console.log(`Worker executing Python script: ${scriptName} with`, inputParams);
+
+  let namespace = null;
+  let execute = null;
+  let pyInputParams = null;
+  try {
+    if (!pyodide || !scriptLocator) {
+      throw new Error('Worker has not been initialized');
+    }
+    const scriptUrl = await scriptLocator.resolve(scriptName);
+    const response = await fetch(scriptUrl, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Failed to load script "${scriptName}" (${response.status})`);
+    }
+    const source = await response.text();
+    
+    // Packages imported by the script must be available in the Pyodide directory
+    await pyodide.loadPackagesFromImports(source);
+    
+    // Each execution uses a fresh namespace so that scripts do not share globals
+    namespace = pyodide.globals.get('dict')();
+    await pyodide.runPythonAsync(source, { globals: namespace, filename: scriptUrl });
+    
+    // Verify that the script defines an execute function
+    execute = namespace.get('execute');
+    if (typeof execute !== 'function') {
+      throw new Error(`Script "${scriptName}" does not define an execute function`);
+    }
+    
+    // Call the execute function with the input parameters as a dict
+    // An "async def execute" returns an awaitable, which is awaited
+    pyInputParams = pyodide.toPy(inputParams);
+    let pyResult = execute(pyInputParams);
+    if (pyResult && typeof pyResult.then === 'function') {
+      pyResult = await pyResult;
+    }
+    const result = toJsValue(pyResult);
+    // Send execution result back to main thread
+    self.postMessage({
+      type,
+      id,
+      result
+    });
+  } catch (error) {
+    const errmsg = `Worker execution failed: ${error.message}`;
+    console.log(errmsg);
+    // Send error message back to main thread
+    self.postMessage({
+      type: 'error',
+      id,
+      errmsg
+    });
+  } finally {
+    // Release the Python objects referenced from JavaScript
+    for (const proxy of [pyInputParams, execute, namespace]) {
+      if (pyodide && proxy instanceof pyodide.ffi.PyProxy) {
+        proxy.destroy();
+      }
+    }
+  }
+}
+
+/**
+ * Main thread message handler
+ * 
+ * Routes incoming messages to appropriate handler functions based on message type.
+ * Provides centralized error handling for all message processing.
+ */
+self.onmessage = async function(e) {
+  try {
+    const { type } = e.data;
+    
+    // Delegate to appropriate handler based on message type
+    switch (type) {
+      case 'init':
+        await handleInitMessage(e.data);
+        break;
+      case 'execute':
+        await handleExecuteMessage(e.data);
+        break;
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+  } catch (error) {
+    sendErrorToMain(error.message);
+  }
+};
+
+/**
+ * Global error handler
+ * 
+ * This handler serves as a last resort to catch fatal Worker errors
+ * that could not be handled by the try/catch within onmessage
+ */
+self.onerror = function(e) {
+  sendErrorToMain(`Global worker error:${e.message}`);
+};
+
+/**
+ * Notify that the Worker is ready to receive messages
+ */
+self.postMessage({ type: 'ready' });
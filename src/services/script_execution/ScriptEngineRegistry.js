@@ -0,0 +1,148 @@
+import { ref, readonly } from 'vue';
+import EngineState from './EngineState';
+
+/**
+ * Script Engine Registry
+ * Engines are registered by name with a function creating them,
+ * created on first use and reported with their health for display in the UI
+ */
+export default class ScriptEngineRegistry {
+  /**
+   * Constructor
+   */
+  constructor() {
+    this._engineCreators = new Map(); // {engineName: function creating the engine}
+    this._engines = new Map(); // {engineName: engine instance}
+    // Health of every registered engine, in registration order ({ name, state, message, workers, busyWorkers })
+    this._health = ref([]);
+  }
+
+  /**
+   * Normalize an engine name used as key
+   * @param {string} engineName Engine name
+   * @return {string} Lower case engine name
+   * @private
+   */
+  _getKey(engineName) {
+    return String(engineName).toLowerCase();
+  }
+
+  /**
+   * Update the health of an engine
+   * @param {string} key Engine name
+   * @param {Object} health Health of the engine ({ state, message, workers, busyWorkers })
+   * @private
+   */
+  _updateHealth(key, health) {
+    const entry = {
+      name: key,
+      state: health.state,
+      message: health.message || '',
+      workers: health.workers || 0,
+      busyWorkers: health.busyWorkers || 0
+    };
+    const index = this._health.value.findIndex(item => item.name === key);
+    if (index === -1) {
+      this._health.value = [...this._health.value, entry];
+    } else {
+      this._health.value = this._health.value.map((item, itemIndex) => itemIndex === index ? entry : item);
+    }
+  }
+
+  /**
+   * Register an engine
+   * The engine is not created until it is first used
+   * @param {string} engineName Engine name (e.g., 'python')
+   * @param {Function} createEngine Function returning an initialized engine instance
+   * 
+   * @example
+   * registry.register('javascript', () => new JavaScriptExecutionEngine(['/scripts']).initialize());
+   */
+  register(engineName, createEngine) {
+    const key = this._getKey(engineName);
+    this._engineCreators.set(key, createEngine);
+    this._updateHealth(key, { state: EngineState.IDLE });
+  }
+
+  /**
+   * Check whether an engine is registered
+   * @param {string} engineName Engine name
+   * @return {boolean} True if the engine is registered
+   */
+  isRegistered(engineName) {
+    return this._engineCreators.has(this._getKey(engineName));
+  }
+
+  /**
+   * Get the names of the registered engines
+   * @return {Array<string>} Engine names in registration order
+   */
+  getEngineNames() {
+    return Array.from(this._engineCreators.keys());
+  }
+
+  /**
+   * Get an engine, creating it on first use
+   * @param {string} engineName Engine name
+   * @return {IScriptExecutionEngine} Engine instance
+   * @throws {Error} If the engine is not registered
+   */
+  getEngine(engineName) {
+    const key = this._getKey(engineName);
+    if (!this._engines.has(key)) {
+      const createEngine = this._engineCreators.get(key);
+      if (!createEngine) {
+        throw new Error(`Script engine "${engineName}" is not registered`);
+      }
+      const engine = createEngine();
+      engine.onStateChange = health => this._updateHealth(key, health);
+      this._engines.set(key, engine);
+      this._updateHealth(key, engine.getHealth());
+    }
+    return this._engines.get(key);
+  }
+
+  /**
+   * Get the engines created so far
+   * @return {Array<IScriptExecutionEngine>} Engine instances
+   */
+  getCreatedEngines() {
+    return Array.from(this._engines.values());
+  }
+
+  /**
+   * Get the health of the registered engines
+   * @return {Object} Readonly reactive reference to an array of { name, state, message, workers, busyWorkers }
+   */
+  getHealth() {
+    return readonly(this._health);
+  }
+
+  /**
+   * Restart an engine (e.g. after it has been disabled by a Worker crash)
+   * An engine that has not been used yet is created
+   * @param {string} engineName Engine name
+   * @throws {Error} If the engine is not registered
+   */
+  restartEngine(engineName) {
+    const key = this._getKey(engineName);
+    if (this._engines.has(key)) {
+      this._engines.get(key).restart();
+    } else {
+      this.getEngine(key);
+    }
+  }
+
+  /**
+   * Terminate all created engines
+   * They are created again when next used
+   */
+  terminate() {
+    this._engines.forEach((engine, key) => {
+      engine.terminate();
+      engine.onStateChange = null;
+      this._updateHealth(key, { state: EngineState.IDLE });
+    });
+    this._engines.clear();
+  }
+}
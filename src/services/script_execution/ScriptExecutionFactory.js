@@ -1,30 +1,61 @@
 import JavaScriptExecutionEngine from './JavaScriptExecutionEngine';
-// import PythonExecutionEngine from './PythonExecutionEngine';  // Future implementation
+import PythonExecutionEngine from './PythonExecutionEngine';
+
+// File extension of the scripts of each engine
+const SCRIPT_EXTENSIONS = {
+  javascript: '.js',
+  python: '.py'
+};
 
 /**
  * Script Execution Factory
  */
 export default class ScriptExecutionFactory {
+  /**
+   * Get the names of the supported engines
+   * @return {Array<string>} Engine names (e.g., ['javascript', 'python'])
+   */
+  static getEngineNames() {
+    return Object.keys(SCRIPT_EXTENSIONS);
+  }
+
+  /**
+   * Get the file extension of the scripts of an engine
+   * @param {string} engineName Engine name
+   * @return {string} File extension (e.g., '.py')
+   * @throws {Error} If unsupported engine name is specified
+   */
+  static getScriptExtension(engineName = 'javascript') {
+    const extension = SCRIPT_EXTENSIONS[engineName.toLowerCase()];
+    if (!extension) {
+      throw new Error(`Unsupported script engine name: ${engineName}`);
+    }
+    return extension;
+  }
+
   /**
    * Creates a script execution engine for the specified language
    * 
-   * @param {string} engineName Engine name (e.g., 'javascript')
-   * @param {string} scriptsDir Script directory path (optional)
+   * @param {string} engineName Engine name (e.g., 'javascript' or 'python')
+   * @param {Array<string>} scriptsDirs Script directory URL paths, searched in order (optional)
+   * @param {Object} options Engine options (optional)
+   * @param {number} options.workerPoolSize Maximum number of Workers executing scripts at the same time
+   * @param {string} options.pyodideIndexUrl URL of the directory containing the Pyodide files (python)
    * @return {IScriptExecutionEngine} Initialized engine instance
    * 
    * @throws {Error} If unsupported engine name is specified
    * 
    * @example
-   * const engine = ScriptExecutionFactory.createEngine('javascript', 'scripts');
+   * const engine = ScriptExecutionFactory.createEngine('javascript', ['/scripts']);
    * const result = await engine.executeScript('myScript', { param1: 'value' });
    */
-  static createEngine(engineName = 'javascript', scriptsDir = '') {
+  static createEngine(engineName = 'javascript', scriptsDirs = [], options = {}) {
     switch (engineName.toLowerCase()) {
       case "javascript":
-        return new JavaScriptExecutionEngine(scriptsDir).initialize();
+        return new JavaScriptExecutionEngine(scriptsDirs, options).initialize();
       
-      // case "python":
-      //   return new PythonExecutionEngine(scriptsDir).initialize();
+      case "python":
+        return new PythonExecutionEngine(scriptsDirs, options).initialize();
       
       default:
         throw new Error(`Unsupported script engine name: ${engineName}`);
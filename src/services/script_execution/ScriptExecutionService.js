@@ -1,4 +1,6 @@
 import ScriptExecutionFactory from './ScriptExecutionFactory';
+import ScriptLocator from './ScriptLocator';
+import ScriptEngineRegistry from './ScriptEngineRegistry';
 
 /**
  * Script Execution Service
@@ -11,44 +13,77 @@ export default class ScriptExecutionService {
    */
   constructor(configScript) {   
     this.engineName = configScript?.engineName || 'javascript';
-    this.scriptsDir = configScript?.scriptsDir || '';
+    this.scriptsDirs = ScriptLocator.getScriptsDirs(configScript);
+    // Options passed to the engines (e.g. size of the Worker pools, location of Pyodide)
+    this.engineOptions = {
+      workerPoolSize: configScript?.workerPoolSize,
+      pyodideIndexUrl: configScript?.pyodideIndexUrl
+    };
     
-    // Create engine instance using factory
-    this.scriptExecutionEngine = ScriptExecutionFactory.createEngine(
-      this.engineName,
-      this.scriptsDir
-    );
+    // Register the engines of the factory; each one is created when a script of its language is first executed
+    this.engineRegistry = new ScriptEngineRegistry();
+    ScriptExecutionFactory.getEngineNames().forEach(engineName => {
+      this.engineRegistry.register(engineName,
+        () => ScriptExecutionFactory.createEngine(engineName, this.scriptsDirs, this.engineOptions));
+    });
   }
 
   /**
    * Script execution result type definition
    * @typedef {Object} ScriptExecutionResult
    * @property {boolean} success Execution success flag (required)
+   * @property {string} status Execution status (see ExecutionStatus, optional)
    * In addition to the standard properties above, this object may include
    * arbitrary additional data returned by the executed script. The property names
    * and structure of additional data vary depending on the script implementation.
    */
   /**
    * Execute script
-   * @param {string} scriptName Script file name
+   * @param {string} scriptName Script identifier (the "command" of the block)
    * @param {Object} inputParams Input parameters (optional)
+   * @param {Object} options Execution options (optional)
+   * @param {number} options.timeout Timeout in milliseconds (optional)
+   * @param {string} options.engine Engine name of the script (optional, default engine if omitted)
+   * @param {Function} options.onStart Called when the script starts, after waiting for a Worker (optional)
    * @return {Promise<ScriptExecutionResult>} Execution result object
    */
-  async executeScript(scriptName = '', inputParams = {}) {
+  async executeScript(scriptName = '', inputParams = {}, options = {}) {
     try {
-      return await this.scriptExecutionEngine.executeScript(scriptName, inputParams);
+      const engine = this.engineRegistry.getEngine(options.engine || this.engineName);
+      return await engine.executeScript(scriptName, inputParams, options);
     } catch (error) {
       console.log(`[${this.constructor.name}] executeScript() failed: ${error.message}`);
       throw error;
     }
   }
   
+  /**
+   * Get the health of the script engines
+   * @return {Object} Readonly reactive reference to an array of { name, state, message }
+   */
+  getEngineHealth() {
+    return this.engineRegistry.getHealth();
+  }
+
+  /**
+   * Restart a script engine (e.g. after it has been disabled by a Worker crash)
+   * @param {string} engineName Engine name
+   */
+  restartEngine(engineName) {
+    this.engineRegistry.restartEngine(engineName);
+  }
+  
+  /**
+   * Cancel running script executions
+   */
+  cancel() {
+    this.engineRegistry.getCreatedEngines().forEach(engine => engine.cancel());
+  }
+
   /**
    * Service termination process
    */
   terminate() {
-    if (this.scriptExecutionEngine) {
-      this.scriptExecutionEngine.terminate();
-    }
+    this.engineRegistry.terminate();
   }
 }
@@ -0,0 +1,122 @@
+/**
+ * Script Locator
+ * Resolves a script identifier (the "command" of a block, e.g. "Add" or "text/Join")
+ * to the URL of its file by searching the script directories in order
+ */
+export default class ScriptLocator {
+  /**
+   * Constructor
+   * @param {Array<string>|string} scriptsDirs Script directory URL paths, searched in order
+   * @param {string} extension File extension of the scripts (default '.js')
+   */
+  constructor(scriptsDirs = [], extension = '.js') {
+    const dirs = Array.isArray(scriptsDirs) ? scriptsDirs : [scriptsDirs];
+    this.scriptsDirs = dirs.filter(dir => typeof dir === 'string' && dir).map(dir => dir.replace(/\/+$/, ''));
+    this.extension = extension;
+    // Cache of resolved URLs by script identifier
+    this._resolvedUrls = new Map();
+  }
+
+  /**
+   * Get the script directories from the script configuration
+   * @param {Object} configScript Script configuration object (optional)
+   * @return {Array<string>} Script directory URL paths, searched in order
+   */
+  static getScriptsDirs(configScript) {
+    if (Array.isArray(configScript?.scriptsDirs)) {
+      return configScript.scriptsDirs;
+    }
+    // Single directory setting of earlier configurations
+    return configScript?.scriptsDir ? [configScript.scriptsDir] : [];
+  }
+
+  /**
+   * Check whether a script identifier is valid
+   * Identifiers are relative paths without extension; ".." and "." segments are not allowed
+   * @param {string} scriptName Script identifier
+   * @return {boolean} True if the identifier is valid
+   */
+  static isValidScriptName(scriptName) {
+    if (typeof scriptName !== 'string' || !/^[\w.-]+(\/[\w.-]+)*$/.test(scriptName)) {
+      return false;
+    }
+    return !scriptName.split('/').some(segment => segment === '.' || segment === '..');
+  }
+
+  /**
+   * Get the URLs where a script may be located, in search order
+   * @param {string} scriptName Script identifier
+   * @return {Array<string>} Candidate URLs
+   */
+  getCandidateUrls(scriptName) {
+    return this.scriptsDirs.map(dir => `${dir}/${scriptName}${this.extension}`);
+  }
+
+  /**
+   * Check whether a file can be fetched
+   * @param {string} url File URL
+   * @return {Promise<boolean>} True if the file exists
+   * @private
+   */
+  async _exists(url) {
+    try {
+      const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+      // Development servers answer unknown paths with the HTML page of the application
+      const contentType = response.headers.get('content-type') || '';
+      return response.ok && !contentType.includes('text/html');
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Find the URL of an existing script file
+   * @param {string} scriptName Script identifier
+   * @return {Promise<string|null>} URL of the first directory containing the script, or null
+   */
+  async locate(scriptName) {
+    if (!ScriptLocator.isValidScriptName(scriptName)) return null;
+    if (this._resolvedUrls.has(scriptName)) {
+      return this._resolvedUrls.get(scriptName);
+    }
+    for (const url of this.getCandidateUrls(scriptName)) {
+      if (await this._exists(url)) {
+        this._resolvedUrls.set(scriptName, url);
+        return url;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the URL of a script to execute
+   * With a single script directory the URL is returned without checking the file,
+   * a missing file is then reported by the import
+   * @param {string} scriptName Script identifier
+   * @return {Promise<string>} URL of the script file
+   * @throws {Error} If the identifier is invalid or the script is not found
+   */
+  async resolve(scriptName) {
+    if (!ScriptLocator.isValidScriptName(scriptName)) {
+      throw new Error(`Invalid script name "${scriptName}"`);
+    }
+    if (this.scriptsDirs.length === 0) {
+      throw new Error('No script directory is configured');
+    }
+    if (this.scriptsDirs.length === 1) {
+      return this.getCandidateUrls(scriptName)[0];
+    }
+    const url = await this.locate(scriptName);
+    if (!url) {
+      throw new Error(`Script "${scriptName}" not found in ${this.scriptsDirs.join(', ')}`);
+    }
+    return url;
+  }
+
+  /**
+   * Forget the resolved URLs (e.g. after scripts have been added or moved)
+   */
+  clearCache() {
+    this._resolvedUrls.clear();
+  }
+}
@@ -0,0 +1,560 @@
+import IScriptExecutionEngine from './IScriptExecutionEngine';
+import ExecutionStatus from './ExecutionStatus';
+import EngineState from './EngineState';
+import ScriptLocator from './ScriptLocator';
+
+// States of a Worker of the pool
+const SLOT_STARTING = 'starting'; // Waiting for the answer to the init message
+const SLOT_IDLE = 'idle';         // Ready to execute a script
+const SLOT_BUSY = 'busy';         // Executing a script
+
+/**
+ * Base class of script execution engines running scripts in Workers
+ * Manages a pool of Workers, their init handshake, pending executions, timeouts and cancellation
+ *
+ * Each Worker executes one script at a time. The pool starts with one Worker and grows up to
+ * workerPoolSize Workers while executions are waiting, so that independent scripts can run in parallel.
+ *
+ * Subclasses implement:
+ * - _createWorker() Create a Worker of the engine
+ * - _executeDirectly(scriptName, inputParams) Fallback used when no Worker is available
+ * and may override _getInitMessage() to pass engine specific settings to the Workers
+ */
+export default class WorkerExecutionEngine extends IScriptExecutionEngine {
+  /**
+   * Constructor
+   * @param {Array<string>|string} scriptsDirs Script directory URL paths, searched in order
+   * @param {string} extension File extension of the scripts
+   * @param {Object} options Engine options (optional)
+   * @param {number} options.workerInitTimeout Time to wait for a Worker to answer the init message in milliseconds
+   * @param {number} options.workerPoolSize Maximum number of Workers executing scripts at the same time
+   */
+  constructor(scriptsDirs = [], extension = '.js', options = {}) {
+    super();
+    this.scriptLocator = new ScriptLocator(scriptsDirs, extension);
+    this.scriptsDirs = this.scriptLocator.scriptsDirs;
+    this.workerInitTimeout = options.workerInitTimeout || 5000;
+    this.workerPoolSize = Math.max(1, Math.floor(Number(options.workerPoolSize) || 1));
+
+    // Worker management
+    this.workerSlots = []; // [{worker, state, executionId, initTimer}]
+    this._poolLimit = this.workerPoolSize; // Lowered when additional Workers fail to start
+    this.pendingExecutions = new Map(); // {executionId: {resolve, reject, timer, slot, viaWorker, ...}}
+    this._queue = []; // IDs of the executions waiting for a Worker
+    this.executionCounter = 0;
+    this.workerDisabled = false;
+
+    // Health reporting
+    this.state = EngineState.IDLE;
+    this.stateMessage = '';
+    this.onStateChange = null; // Called with the health whenever the state or the pool usage changes
+  }
+
+  /**
+   * Output log message
+   * @param {string} message Log message
+   * @protected
+   */
+  _log(message) {
+    console.log(`[${this.constructor.name}] ${message}`);
+  }
+
+  /**
+   * Change the state of the engine and notify the listener
+   * @param {string} state Engine state (see EngineState)
+   * @param {string} message Reason of the state (optional)
+   * @private
+   */
+  _setState(state, message = '') {
+    this.state = state;
+    this.stateMessage = message;
+    if (this.onStateChange) {
+      this.onStateChange(this.getHealth());
+    }
+  }
+
+  /**
+   * Derive the state of the engine from the Workers of the pool
+   * @private
+   */
+  _updateState() {
+    if (this.workerDisabled) return;
+    if (this.workerSlots.some(slot => slot.state !== SLOT_STARTING)) {
+      this._setState(EngineState.READY);
+    } else if (this.workerSlots.length > 0) {
+      this._setState(EngineState.STARTING);
+    } else {
+      this._setState(EngineState.IDLE);
+    }
+  }
+
+  /**
+   * Create an error carrying an execution status
+   * @param {string} message Error message
+   * @param {string} status Execution status (see ExecutionStatus)
+   * @return {Error} Error with a status property
+   * @private
+   */
+  _createStatusError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Settle a pending execution with a result or an error
+   * The Worker that executed the script is not released here (see _releaseSlot and _replaceSlot)
+   * @param {number} executionId Execution ID
+   * @param {Object|null} result Execution result (ignored when error is given)
+   * @param {Error|null} error Error to reject the execution with (optional)
+   * @private
+   */
+  _settleExecution(executionId, result, error = null) {
+    const pendingExecution = this.pendingExecutions.get(executionId);
+    if (!pendingExecution) return;
+    clearTimeout(pendingExecution.timer);
+    this.pendingExecutions.delete(executionId);
+    this._queue = this._queue.filter(id => id !== executionId);
+    if (error) {
+      pendingExecution.reject(error);
+    } else {
+      pendingExecution.resolve(result);
+    }
+  }
+
+  /**
+   * Rejects all executions with an error
+   * @param {string} errorMessage Error message to include in the rejection
+   * @private
+   */
+  _rejectAllExecutions(errorMessage) {
+    this.pendingExecutions.forEach((execution, executionId) => {
+      this._settleExecution(executionId, null, new Error(`Critical error in Worker: ${errorMessage}`));
+    });
+  }
+
+  /**
+   * Reject all pending executions as cancelled
+   * @private
+   */
+  _cancelPendingExecutions() {
+    this.pendingExecutions.forEach((execution, executionId) => {
+      this._settleExecution(executionId, null,
+        this._createStatusError('Execution cancelled', ExecutionStatus.CANCELLED));
+    });
+  }
+
+  /**
+   * Create a Worker of the engine
+   * @return {Worker} Worker instance
+   * @protected
+   */
+  _createWorker() {
+    throw new Error("Method '_createWorker' must be implemented");
+  }
+
+  /**
+   * Get the init message sent to the Workers
+   * @return {Object} Init message
+   * @protected
+   */
+  _getInitMessage() {
+    return {
+      type: 'init',
+      scriptsDirs: this.scriptsDirs
+    };
+  }
+
+  /**
+   * Start a Worker and add it to the pool
+   * Executions are dispatched to it once it has answered the init message
+   * @private
+   */
+  _startWorker() {
+    const slot = { worker: null, state: SLOT_STARTING, executionId: null, initTimer: null };
+    this.workerSlots.push(slot);
+    this._updateState();
+    try {
+      slot.worker = this._createWorker();
+
+      // Set message handler
+      slot.worker.onmessage = e => this._handleWorkerMessage(slot, e);
+
+      // Set error handler
+      slot.worker.onerror = error => this._handleWorkerError(slot, error);
+
+      // Send Worker initialization message; executions are dispatched after the 'initialized' answer
+      slot.initTimer = setTimeout(() => {
+        this._handleStartFailure(slot, `Worker did not answer the init message within ${this.workerInitTimeout}ms`);
+      }, this.workerInitTimeout);
+      slot.worker.postMessage(this._getInitMessage());
+    } catch (error) {
+      this._handleStartFailure(slot, `Failed to create Worker: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove a Worker from the pool and terminate it
+   * @param {Object} slot Worker slot
+   * @private
+   */
+  _removeSlot(slot) {
+    clearTimeout(slot.initTimer);
+    if (slot.worker) {
+      slot.worker.onmessage = null;
+      slot.worker.onerror = null;
+      slot.worker.terminate();
+    }
+    this.workerSlots = this.workerSlots.filter(item => item !== slot);
+  }
+
+  /**
+   * Handle a Worker that could not be started
+   * The engine is disabled when no other Worker is available; otherwise the pool stays smaller
+   * @param {Object} slot Worker slot
+   * @param {string} reason Reason why the Worker could not be started
+   * @private
+   */
+  _handleStartFailure(slot, reason) {
+    if (!this.workerSlots.includes(slot)) return;
+    this._log(`Worker initialization failed: ${reason}`);
+    this._removeSlot(slot);
+    if (this.workerSlots.length === 0) {
+      this.workerDisabled = true;
+      this._setState(EngineState.DISABLED, reason);
+    } else {
+      this._poolLimit = Math.max(1, this.workerSlots.length);
+      this._updateState();
+    }
+    this._dispatch();
+  }
+
+  /**
+   * Make a Worker available for the next execution
+   * @param {Object} slot Worker slot
+   * @param {number} executionId Execution ID the Worker has finished
+   * @private
+   */
+  _releaseSlot(slot, executionId) {
+    if (!this.workerSlots.includes(slot) || slot.executionId !== executionId) return;
+    slot.executionId = null;
+    slot.state = SLOT_IDLE;
+    this._updateState();
+    this._dispatch();
+  }
+
+  /**
+   * Terminate a Worker that is still busy with a script and start a new one if the pool is empty
+   * Used to stop a script that does not return (e.g. an infinite loop)
+   * @param {Object} slot Worker slot
+   * @private
+   */
+  _replaceSlot(slot) {
+    if (!this.workerSlots.includes(slot)) return;
+    this._removeSlot(slot);
+    if (!this.workerDisabled && this.workerSlots.length === 0) {
+      this._startWorker();
+    }
+    this._updateState();
+    this._dispatch();
+  }
+
+  /**
+   * Start an execution: the timeout begins when the script starts, not while it waits for a Worker
+   * @param {number} executionId Execution ID
+   * @param {Object} execution Pending execution
+   * @private
+   */
+  _beginExecution(executionId, execution) {
+    if (execution.timeout > 0) {
+      execution.timer = setTimeout(
+        () => this._handleTimeout(executionId, execution.scriptName, execution.timeout),
+        execution.timeout
+      );
+    }
+    if (execution.onStart) {
+      try {
+        execution.onStart();
+      } catch (error) {
+        this._log(`onStart callback failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Dispatch waiting executions to idle Workers, starting Workers as needed
+   * When the engine is disabled, executions fall back to direct execution
+   * @private
+   */
+  _dispatch() {
+    while (this._queue.length > 0) {
+      if (this.workerDisabled) {
+        const executionId = this._queue.shift();
+        const execution = this.pendingExecutions.get(executionId);
+        if (execution) {
+          this._executeDirectlyInBackground(executionId, execution);
+        }
+        continue;
+      }
+      const slot = this.workerSlots.find(item => item.state === SLOT_IDLE);
+      if (!slot) {
+        // Grow the pool for the executions that no starting Worker will take
+        let starting = this.workerSlots.filter(item => item.state === SLOT_STARTING).length;
+        while (starting < this._queue.length && this.workerSlots.length < this._poolLimit) {
+          this._startWorker();
+          starting++;
+        }
+        return;
+      }
+      const executionId = this._queue.shift();
+      const execution = this.pendingExecutions.get(executionId);
+      if (execution) {
+        this._executeViaWorker(slot, executionId, execution);
+      }
+    }
+  }
+
+  /**
+   * Timeout handler of a pending execution
+   * @param {number} executionId Execution ID
+   * @param {string} scriptName Script file name
+   * @param {number} timeout Timeout in milliseconds
+   * @private
+   */
+  _handleTimeout(executionId, scriptName, timeout) {
+    const pendingExecution = this.pendingExecutions.get(executionId);
+    if (!pendingExecution) return;
+    this._log(`Execution of "${scriptName}" timed out after ${timeout}ms`);
+    this._settleExecution(executionId, null,
+      this._createStatusError(`Execution of "${scriptName}" timed out after ${timeout}ms`, ExecutionStatus.TIMEOUT));
+    if (pendingExecution.slot) {
+      // The Worker is still busy with the script
+      this._replaceSlot(pendingExecution.slot);
+    }
+  }
+
+  /**
+   * Worker message handler
+   * @param {Object} slot Worker slot the message comes from
+   * @param {MessageEvent} e Message event from Worker
+   * @private
+   */
+  _handleWorkerMessage(slot, e) {
+    try {
+      const { type, id, result, errmsg } = e.data;
+
+      switch (type) {
+        case 'ready': {
+          this._log('Worker is ready');
+          break;
+        }
+        case 'initialized': {
+          if (slot.state !== SLOT_STARTING) break;
+          this._log('Worker has been initialized');
+          clearTimeout(slot.initTimer);
+          slot.initTimer = null;
+          slot.state = SLOT_IDLE;
+          this._updateState();
+          this._dispatch();
+          break;
+        }
+        case 'result': {
+          this._settleExecution(id, result);
+          this._releaseSlot(slot, id);
+          break;
+        }
+        case 'error': {
+          if (slot.state === SLOT_STARTING) {
+            // The Worker failed to handle the init message
+            this._handleStartFailure(slot, errmsg);
+          } else {
+            const executionId = id !== undefined ? id : slot.executionId;
+            this._settleExecution(executionId, null, new Error(errmsg));
+            this._releaseSlot(slot, executionId);
+          }
+          break;
+        }
+      }
+    } catch(error) {
+      this._rejectAllExecutions(error.message);
+    }
+  }
+
+  /**
+   * Worker error handler
+   * A crashed Worker disables the engine until it is restarted
+   * @param {Object} slot Worker slot the error comes from
+   * @param {ErrorEvent} error Error event from Worker
+   * @private
+   */
+  _handleWorkerError(slot, error) {
+    if (slot.state === SLOT_STARTING) {
+      this._handleStartFailure(slot, error.message || 'Worker could not be loaded');
+      return;
+    }
+    this.workerDisabled = true;
+    [...this.workerSlots].forEach(item => this._removeSlot(item));
+    this._rejectAllExecutions(error.message);
+    this._setState(EngineState.DISABLED, `Worker crashed: ${error.message || 'unknown error'}`);
+  }
+
+  /**
+   * Execute script via a Worker
+   * The result is delivered to the pending execution by the Worker message handler
+   * @param {Object} slot Idle Worker slot
+   * @param {number} executionId Execution ID
+   * @param {Object} execution Pending execution
+   * @private
+   */
+  _executeViaWorker(slot, executionId, execution) {
+    slot.state = SLOT_BUSY;
+    slot.executionId = executionId;
+    execution.slot = slot;
+    execution.viaWorker = true;
+    this._updateState();
+    this._beginExecution(executionId, execution);
+    try {
+      // Invoke Worker
+      const type = 'execute';
+      const id = executionId;
+      slot.worker.postMessage({
+        type,
+        id,
+        scriptName: execution.scriptName,
+        inputParams: execution.inputParams
+      });
+    } catch (error) {
+      this._log(`_executeViaWorker() failed: ${error.message}`);
+      this._settleExecution(executionId, null, error);
+      this._releaseSlot(slot, executionId);
+    }
+  }
+
+  /**
+   * Execute script directly and settle the pending execution with its result
+   * A direct execution cannot be stopped, but a timeout or cancel stops waiting for it
+   * @param {number} executionId Execution ID
+   * @param {Object} execution Pending execution
+   * @private
+   */
+  _executeDirectlyInBackground(executionId, execution) {
+    this._beginExecution(executionId, execution);
+    this._executeDirectly(execution.scriptName, execution.inputParams).then(
+      result => this._settleExecution(executionId, result),
+      error => this._settleExecution(executionId, null, error)
+    );
+  }
+
+  /**
+   * Direct execution (fallback)
+   * @param {string} scriptName Script identifier
+   * @param {Object} inputParams Input parameters
+   * @return {Promise<Object>} Execution result
+   * @protected
+   */
+  async _executeDirectly() {
+    throw new Error("Method '_executeDirectly' must be implemented");
+  }
+
+  /**
+   * Initialization process
+   * Starts the first Worker of the pool
+   * @return {WorkerExecutionEngine} this after initialization
+   */
+  initialize() {
+    if (this.workerSlots.length === 0) {
+      this._startWorker();
+    }
+    return this;
+  }
+
+  /**
+   * Execute a script
+   * The execution waits for a free Worker of the pool
+   * @param {string} scriptName Script identifier (the "command" of the block, e.g. "Add" or "text/Join")
+   * @param {Object} inputParams Input parameters
+   * @param {Object} options Execution options (optional)
+   * @param {number} options.timeout Timeout in milliseconds, counted from the start of the script (0 or omitted for no timeout)
+   * @param {Function} options.onStart Called when the script starts, after waiting for a Worker (optional)
+   * @return {Promise<Object>} Execution result
+   */
+  async executeScript(scriptName, inputParams = {}, options = {}) {
+    const executionId = ++this.executionCounter;
+    const execution = new Promise((resolve, reject) => {
+      // Store execution info
+      this.pendingExecutions.set(executionId, {
+        resolve,
+        reject,
+        timer: null,
+        slot: null,
+        viaWorker: false,
+        scriptName,
+        inputParams,
+        timeout: options.timeout,
+        onStart: options.onStart
+      });
+    });
+    this._queue.push(executionId);
+    this._dispatch();
+    try {
+      return await execution;
+    } catch (error) {
+      this._log(`executeScript() failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel all running executions
+   * Terminates and replaces the busy Workers, and rejects pending executions with the cancelled status
+   */
+  cancel() {
+    if (this.pendingExecutions.size === 0) return;
+    const busySlots = this.workerSlots.filter(slot => slot.state === SLOT_BUSY);
+    this._queue = [];
+    this._cancelPendingExecutions();
+    busySlots.forEach(slot => this._replaceSlot(slot));
+  }
+
+  /**
+   * Get the health of the engine
+   * @return {Object} Health of the engine:
+   *   - state {string} Engine state (see EngineState)
+   *   - message {string} Reason of the state
+   *   - workers {number} Number of Workers in the pool
+   *   - busyWorkers {number} Number of Workers executing a script
+   */
+  getHealth() {
+    return {
+      state: this.state,
+      message: this.stateMessage,
+      workers: this.workerSlots.length,
+      busyWorkers: this.workerSlots.filter(slot => slot.state === SLOT_BUSY).length
+    };
+  }
+
+  /**
+   * Restart the engine
+   * Cancels the running executions and starts a new pool, also when the engine has been disabled
+   */
+  restart() {
+    this._log('Restarting engine');
+    [...this.workerSlots].forEach(slot => this._removeSlot(slot));
+    this._queue = [];
+    this._cancelPendingExecutions();
+    this.workerDisabled = false;
+    this._poolLimit = this.workerPoolSize;
+    this._startWorker();
+  }
+
+  /**
+   * Engine termination process
+   */
+  terminate() {
+    [...this.workerSlots].forEach(slot => this._removeSlot(slot));
+    this.pendingExecutions.forEach(execution => clearTimeout(execution.timer));
+    this.pendingExecutions.clear();
+    this._queue = [];
+    this._setState(EngineState.IDLE);
+  }
+}
@@ -1,4 +1,22 @@
+const path = require('path')
 const { defineConfig } = require('@vue/cli-service')
 module.exports = defineConfig({
-  transpileDependencies: true
+  transpileDependencies: true,
+  chainWebpack: config => {
+    // Bundle Pyodide with the application for the python script engine
+    // The files are served from /pyodide/ (see script.pyodideIndexUrl in app-config.js)
+    config.plugin('copy').tap(args => {
+      args[0].patterns.push({
+        from: path.resolve(__dirname, 'node_modules/pyodide'),
+        to: 'pyodide',
+        globOptions: {
+          ignore: ['**/*.d.ts', '**/*.md', '**/package.json', '**/console.html']
+        },
+        info: {
+          minimized: true
+        }
+      })
+      return args
+    })
+  }
 })